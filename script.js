@@ -17,9 +17,24 @@ const PREVIEW_SCALE = 3;
 const MAX_IMAGE_SIZE = 10 * 1024 * 1024; // 10MB
 const MAX_TEMPLATE_SIZE = 5 * 1024 * 1024; // 5MB
 const MAX_LOOP_ITERATIONS = 100000;
-const ZOOM_MIN = 1.0;
+const ZOOM_MIN = 0.25;
 const ZOOM_MAX = 10.0;
 const ZOOM_FACTOR = 1.1;
+// Hilbert orders above 8 are lowered until neighbouring points are at least this far apart (mm)
+const HILBERT_MIN_STEP = 0.2;
+// Arc fitting: flatter runs are left as lines; arcs span 3-400 of the original chords
+const ARC_MAX_RADIUS = 1000;
+const ARC_MIN_SEGMENTS = 3;
+const ARC_MAX_SEGMENTS = 400;
+// Default tone curve, equivalent of the former gamma of 1.5
+const DEFAULT_TONE_CURVE = [
+    { x: 0, y: 0 },
+    { x: 0.1, y: 0.215 },
+    { x: 0.25, y: 0.397 },
+    { x: 0.5, y: 0.63 },
+    { x: 0.75, y: 0.826 },
+    { x: 1, y: 1 }
+];
 
 // ==================== UTILITY FUNCTIONS ====================
 
@@ -195,13 +210,36 @@ function hideLoadingSpinner() {
 const appState = {
     originalImage: null,
     originalImageRatio: 1.0,
+    svgArtwork: null,
     gcodeContent: "",
+    drawingGcodeContent: "",
+    baseMesh: null,
     gcodeTemplateContent: null,
     cachedPixels: null,
     cachedDimensions: null,
+    adjustedPixels: null,
+    adjustedKey: null,
+    adjustedPreviewCanvas: null,
+    sourceHasAlpha: null,
+    paintMask: null,
+    paintMaskCanvas: null,
+    isPainting: false,
+    toneCurves: {
+        width: DEFAULT_TONE_CURVE.map((p) => ({ ...p })),
+        speed: DEFAULT_TONE_CURVE.map((p) => ({ ...p }))
+    },
+    toneHistogram: null,
+    toneHistogramSource: null,
+    toneHistogramKey: null,
+    pickingColor: false,
     imageOffsetX: 0.0,
     imageOffsetY: 0.0,
     imageZoom: 1.0,
+    imageRotation: 0,
+    imageFlipH: false,
+    imageFlipV: false,
+    imageFill: "white",
+    baseOutlineSvg: null,
     isDragging: false,
     lastMouseX: 0,
     lastMouseY: 0,
@@ -281,6 +319,1651 @@ function hilbert(order, d) {
     return { x: x, y: y };
 }
 
+/**
+ * Generalized Hilbert ("gilbert") curve over an arbitrary width × height grid of cells.
+ * Returns the visiting order as integer cell coordinates; neighbouring cells are
+ * adjacent except for a single diagonal step when both sides are odd.
+ */
+function gilbert2d(width, height) {
+    const points = [];
+    const sign = (v) => (v > 0 ? 1 : v < 0 ? -1 : 0);
+
+    function generate(x, y, ax, ay, bx, by) {
+        const w = Math.abs(ax + ay);
+        const h = Math.abs(bx + by);
+        const dax = sign(ax);
+        const day = sign(ay);
+        const dbx = sign(bx);
+        const dby = sign(by);
+
+        if (h === 1) {
+            for (let i = 0; i < w; i++) {
+                points.push({ x, y });
+                x += dax;
+                y += day;
+            }
+            return;
+        }
+        if (w === 1) {
+            for (let i = 0; i < h; i++) {
+                points.push({ x, y });
+                x += dbx;
+                y += dby;
+            }
+            return;
+        }
+
+        let ax2 = Math.floor(ax / 2);
+        let ay2 = Math.floor(ay / 2);
+        let bx2 = Math.floor(bx / 2);
+        let by2 = Math.floor(by / 2);
+        const w2 = Math.abs(ax2 + ay2);
+        const h2 = Math.abs(bx2 + by2);
+
+        if (2 * w > 3 * h) {
+            // Long block: split in two halves along the major axis, preferring even steps
+            if (w2 % 2 && w > 2) {
+                ax2 += dax;
+                ay2 += day;
+            }
+            generate(x, y, ax2, ay2, bx, by);
+            generate(x + ax2, y + ay2, ax - ax2, ay - ay2, bx, by);
+        } else {
+            // Standard case: one step up, one long run across, one step down
+            if (h2 % 2 && h > 2) {
+                bx2 += dbx;
+                by2 += dby;
+            }
+            generate(x, y, bx2, by2, ax2, ay2);
+            generate(x + bx2, y + by2, ax, ay, bx - bx2, by - by2);
+            generate(x + (ax - dax) + (bx2 - dbx), y + (ay - day) + (by2 - dby), -bx2, -by2, -(ax - ax2), -(ay - ay2));
+        }
+    }
+
+    if (width >= height) {
+        generate(0, 0, width, 0, 0, height);
+    } else {
+        generate(0, 0, 0, height, width, 0);
+    }
+    return points;
+}
+
+/**
+ * Hilbert curve over a square whose cells subdivide only where shouldSubdivide(minX,
+ * minY, size) asks for it. Consecutive leaf cells always share an edge, so joining
+ * their centres gives one continuous path. Emits leaf centres in curve order.
+ */
+function adaptiveHilbert(size, maxDepth, shouldSubdivide, emit) {
+    // Cell spanned from (x0, y0) by the vectors (xi, xj) and (yi, yj)
+    function visit(x0, y0, xi, xj, yi, yj, depth) {
+        const cellSize = Math.abs(xi + yi);
+        const minX = Math.min(x0, x0 + xi + yi);
+        const minY = Math.min(y0, y0 + xj + yj);
+
+        if (depth >= maxDepth || !shouldSubdivide(minX, minY, cellSize)) {
+            emit(x0 + (xi + yi) / 2, y0 + (xj + yj) / 2);
+            return;
+        }
+
+        visit(x0, y0, yi / 2, yj / 2, xi / 2, xj / 2, depth + 1);
+        visit(x0 + xi / 2, y0 + xj / 2, xi / 2, xj / 2, yi / 2, yj / 2, depth + 1);
+        visit(x0 + xi / 2 + yi / 2, y0 + xj / 2 + yj / 2, xi / 2, xj / 2, yi / 2, yj / 2, depth + 1);
+        visit(x0 + xi / 2 + yi, y0 + xj / 2 + yj, -yi / 2, -yj / 2, -xi / 2, -xj / 2, depth + 1);
+    }
+
+    visit(0, 0, size, 0, 0, size, 0);
+}
+
+/**
+ * Parallel lines at any angle (degrees, 0 = along +X) spaced `spacing` apart and clipped
+ * to the width × height rectangle, in serpentine order (every other line reversed), at most
+ * `maxLines` of them.
+ */
+function rasterLines(width, height, angleDeg, spacing, maxLines = Infinity) {
+    const angle = (angleDeg * Math.PI) / 180;
+    const dx = Math.cos(angle);
+    const dy = Math.sin(angle);
+    const nx = -dy;
+    const ny = dx;
+
+    const projections = [0, width * nx, height * ny, width * nx + height * ny];
+    const tMin = Math.min(...projections);
+    const tMax = Math.max(...projections);
+
+    // Range of s where base + dir * s stays within [lo, hi]
+    const clipRange = (range, base, dir, lo, hi) => {
+        if (Math.abs(dir) < 1e-12) {
+            if (base < lo - 1e-9 || base > hi + 1e-9) range.empty = true;
+            return;
+        }
+        const s0 = (lo - base) / dir;
+        const s1 = (hi - base) / dir;
+        range.min = Math.max(range.min, Math.min(s0, s1));
+        range.max = Math.min(range.max, Math.max(s0, s1));
+    };
+
+    const lines = [];
+    for (let i = 0; tMin + i * spacing <= tMax + 1e-9 && lines.length < maxLines; i++) {
+        const t = tMin + i * spacing;
+        const range = { min: -Infinity, max: Infinity, empty: false };
+        clipRange(range, nx * t, dx, 0, width);
+        clipRange(range, ny * t, dy, 0, height);
+        if (range.empty || range.max - range.min < 0.01) continue;
+
+        let line = {
+            x0: nx * t + dx * range.min,
+            y0: ny * t + dy * range.min,
+            x1: nx * t + dx * range.max,
+            y1: ny * t + dy * range.max
+        };
+        if (lines.length % 2 === 1) {
+            line = { x0: line.x1, y0: line.y1, x1: line.x0, y1: line.y0 };
+        }
+        lines.push(line);
+    }
+    return lines;
+}
+
+const BAYER_8 = [
+    0, 32, 8, 40, 2, 34, 10, 42, 48, 16, 56, 24, 50, 18, 58, 26, 12, 44, 4, 36, 14, 46, 6, 38, 60, 28, 52, 20, 62, 30,
+    54, 22, 3, 35, 11, 43, 1, 33, 9, 41, 51, 19, 59, 27, 49, 17, 57, 25, 15, 47, 7, 39, 13, 45, 5, 37, 63, 31, 55, 23,
+    61, 29, 53, 21
+];
+
+// Error-diffusion kernels as [dx, dy, weight]
+const DIFFUSION_KERNELS = {
+    floydSteinberg: [
+        [1, 0, 7 / 16],
+        [-1, 1, 3 / 16],
+        [0, 1, 5 / 16],
+        [1, 1, 1 / 16]
+    ],
+    // Atkinson only diffuses 6/8 of the error: lighter, higher-contrast result
+    atkinson: [
+        [1, 0, 1 / 8],
+        [2, 0, 1 / 8],
+        [-1, 1, 1 / 8],
+        [0, 1, 1 / 8],
+        [1, 1, 1 / 8],
+        [0, 2, 1 / 8]
+    ]
+};
+
+/**
+ * Binarize a cols × rows grid of darkness values (0..1, row-major).
+ * method: "threshold", "ordered" (Bayer 8×8), "floydSteinberg" or "atkinson".
+ * Returns a Uint8Array where 1 = print.
+ */
+function ditherGrid(values, cols, rows, method, threshold = 0.5) {
+    const out = new Uint8Array(cols * rows);
+
+    if (method === "ordered") {
+        for (let j = 0; j < rows; j++) {
+            for (let i = 0; i < cols; i++) {
+                const level = (BAYER_8[(j % 8) * 8 + (i % 8)] + 0.5) / 64;
+                out[j * cols + i] = values[j * cols + i] > level ? 1 : 0;
+            }
+        }
+        return out;
+    }
+
+    const kernel = DIFFUSION_KERNELS[method];
+    if (!kernel) {
+        for (let k = 0; k < values.length; k++) out[k] = values[k] >= threshold ? 1 : 0;
+        return out;
+    }
+
+    // Serpentine scan so the error does not pile up along one side
+    const work = Float32Array.from(values);
+    for (let j = 0; j < rows; j++) {
+        const dir = j % 2 === 0 ? 1 : -1;
+        for (let n = 0; n < cols; n++) {
+            const i = dir === 1 ? n : cols - 1 - n;
+            const idx = j * cols + i;
+            const on = work[idx] >= 0.5 ? 1 : 0;
+            out[idx] = on;
+            const err = work[idx] - on;
+            for (const [dx, dy, weight] of kernel) {
+                const x = i + dx * dir;
+                const y = j + dy;
+                if (x < 0 || x >= cols || y >= rows) continue;
+                work[y * cols + x] += err * weight;
+            }
+        }
+    }
+    return out;
+}
+
+/**
+ * Edge mask of a cols × rows darkness grid. "sobel" keeps thinned gradient maxima above
+ * the threshold; "canny" also blurs first and links weak edges to strong ones (hysteresis).
+ * sensitivity 0..1: higher finds fainter edges. Returns a Uint8Array where 1 = edge.
+ */
+function detectEdges(values, cols, rows, method = "canny", sensitivity = 0.5) {
+    let src = values;
+    if (method === "canny") {
+        // Separable 5-tap Gaussian
+        const taps = [1 / 16, 4 / 16, 6 / 16, 4 / 16, 1 / 16];
+        const tmp = new Float32Array(cols * rows);
+        src = new Float32Array(cols * rows);
+        for (let j = 0; j < rows; j++) {
+            for (let i = 0; i < cols; i++) {
+                let sum = 0;
+                for (let k = -2; k <= 2; k++) sum += taps[k + 2] * values[j * cols + Math.max(0, Math.min(cols - 1, i + k))];
+                tmp[j * cols + i] = sum;
+            }
+        }
+        for (let j = 0; j < rows; j++) {
+            for (let i = 0; i < cols; i++) {
+                let sum = 0;
+                for (let k = -2; k <= 2; k++) sum += taps[k + 2] * tmp[Math.max(0, Math.min(rows - 1, j + k)) * cols + i];
+                src[j * cols + i] = sum;
+            }
+        }
+    }
+
+    const at = (i, j) => src[Math.max(0, Math.min(rows - 1, j)) * cols + Math.max(0, Math.min(cols - 1, i))];
+    const magnitude = new Float32Array(cols * rows);
+    const direction = new Uint8Array(cols * rows); // 0: horizontal, 1: 45°, 2: vertical, 3: 135°
+    let maxMagnitude = 0;
+    for (let j = 0; j < rows; j++) {
+        for (let i = 0; i < cols; i++) {
+            const gx =
+                at(i + 1, j - 1) + 2 * at(i + 1, j) + at(i + 1, j + 1) - at(i - 1, j - 1) - 2 * at(i - 1, j) - at(i - 1, j + 1);
+            const gy =
+                at(i - 1, j + 1) + 2 * at(i, j + 1) + at(i + 1, j + 1) - at(i - 1, j - 1) - 2 * at(i, j - 1) - at(i + 1, j - 1);
+            const mag = Math.hypot(gx, gy);
+            magnitude[j * cols + i] = mag;
+            maxMagnitude = Math.max(maxMagnitude, mag);
+            const angle = ((Math.atan2(gy, gx) * 180) / Math.PI + 180) % 180;
+            direction[j * cols + i] = Math.round(angle / 45) % 4;
+        }
+    }
+
+    const high = maxMagnitude * (0.05 + 0.45 * (1 - sensitivity));
+    const low = method === "canny" ? high * 0.4 : high;
+    const edges = new Uint8Array(cols * rows);
+    if (maxMagnitude < 1e-6) return edges;
+
+    // Non-maximum suppression along the gradient direction: 2 = strong, 1 = weak
+    const offsets = [
+        [1, 0],
+        [1, 1],
+        [0, 1],
+        [-1, 1]
+    ];
+    const magAt = (i, j) => (i < 0 || j < 0 || i >= cols || j >= rows ? 0 : magnitude[j * cols + i]);
+    for (let j = 0; j < rows; j++) {
+        for (let i = 0; i < cols; i++) {
+            const idx = j * cols + i;
+            const mag = magnitude[idx];
+            if (mag < low) continue;
+            const [dx, dy] = offsets[direction[idx]];
+            if (mag < magAt(i + dx, j + dy) || mag < magAt(i - dx, j - dy)) continue;
+            edges[idx] = mag >= high ? 2 : 1;
+        }
+    }
+
+    // Hysteresis: keep weak pixels only when connected to a strong one
+    const stack = [];
+    for (let idx = 0; idx < edges.length; idx++) {
+        if (edges[idx] === 2) stack.push(idx);
+    }
+    while (stack.length > 0) {
+        const idx = stack.pop();
+        const i = idx % cols;
+        const j = (idx - i) / cols;
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                const x = i + dx;
+                const y = j + dy;
+                if (x < 0 || y < 0 || x >= cols || y >= rows) continue;
+                if (edges[y * cols + x] === 1) {
+                    edges[y * cols + x] = 2;
+                    stack.push(y * cols + x);
+                }
+            }
+        }
+    }
+    for (let idx = 0; idx < edges.length; idx++) edges[idx] = edges[idx] === 2 ? 1 : 0;
+    return edges;
+}
+
+/**
+ * Chain the pixels of an edge mask into polylines of {x, y} grid coordinates.
+ * Open chains are traced from their endpoints first; what remains are closed loops.
+ */
+function traceEdgePolylines(mask, cols, rows) {
+    // 4-neighbours first so chains prefer straight steps over diagonal shortcuts
+    const neighbours = [
+        [1, 0],
+        [0, 1],
+        [-1, 0],
+        [0, -1],
+        [1, 1],
+        [-1, 1],
+        [-1, -1],
+        [1, -1]
+    ];
+    const visited = new Uint8Array(cols * rows);
+    const isEdge = (i, j) => i >= 0 && j >= 0 && i < cols && j < rows && mask[j * cols + i] === 1;
+
+    const nextFrom = (i, j) => {
+        for (const [dx, dy] of neighbours) {
+            if (isEdge(i + dx, j + dy) && !visited[(j + dy) * cols + i + dx]) return [i + dx, j + dy];
+        }
+        return null;
+    };
+
+    const walk = (i, j) => {
+        const points = [{ x: i, y: j }];
+        visited[j * cols + i] = 1;
+        let next = nextFrom(i, j);
+        while (next) {
+            [i, j] = next;
+            visited[j * cols + i] = 1;
+            points.push({ x: i, y: j });
+            next = nextFrom(i, j);
+        }
+        // Close the chain if it ended next to where it started
+        const first = points[0];
+        if (points.length > 3 && Math.abs(first.x - i) <= 1 && Math.abs(first.y - j) <= 1) {
+            points.push({ x: first.x, y: first.y });
+        }
+        return points;
+    };
+
+    const polylines = [];
+    for (const endpointsOnly of [true, false]) {
+        for (let j = 0; j < rows; j++) {
+            for (let i = 0; i < cols; i++) {
+                if (!isEdge(i, j) || visited[j * cols + i]) continue;
+                if (endpointsOnly) {
+                    let count = 0;
+                    for (const [dx, dy] of neighbours) if (isEdge(i + dx, j + dy)) count++;
+                    if (count !== 1) continue;
+                }
+                polylines.push(walk(i, j));
+            }
+        }
+    }
+    return polylines;
+}
+
+/**
+ * Ramer–Douglas–Peucker simplification: drops points closer than `tolerance` to the
+ * chord that replaces them.
+ */
+function simplifyPolyline(points, tolerance) {
+    if (points.length < 3) return points.slice();
+    const keep = new Uint8Array(points.length);
+    keep[0] = 1;
+    keep[points.length - 1] = 1;
+    const stack = [[0, points.length - 1]];
+
+    while (stack.length > 0) {
+        const [first, last] = stack.pop();
+        const a = points[first];
+        const b = points[last];
+        const len = Math.hypot(b.x - a.x, b.y - a.y);
+        let maxDist = 0;
+        let maxIndex = -1;
+        for (let k = first + 1; k < last; k++) {
+            const p = points[k];
+            const dist =
+                len > 1e-12
+                    ? Math.abs((b.x - a.x) * (a.y - p.y) - (a.x - p.x) * (b.y - a.y)) / len
+                    : Math.hypot(p.x - a.x, p.y - a.y);
+            if (dist > maxDist) {
+                maxDist = dist;
+                maxIndex = k;
+            }
+        }
+        if (maxIndex >= 0 && maxDist > tolerance) {
+            keep[maxIndex] = 1;
+            stack.push([first, maxIndex], [maxIndex, last]);
+        }
+    }
+    return points.filter((p, k) => keep[k]);
+}
+
+/**
+ * Seeded pseudo-random generator (mulberry32), so regenerating gives the same art
+ */
+function createRandom(seed) {
+    let a = seed >>> 0;
+    return function () {
+        a = (a + 0x6d2b79f5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Uniform bucket grid for nearest-point queries over a width × height area
+ */
+function createPointGrid(width, height, cellSize) {
+    const cols = Math.max(1, Math.ceil(width / cellSize));
+    const rows = Math.max(1, Math.ceil(height / cellSize));
+    const cells = Array.from({ length: cols * rows }, () => []);
+
+    const cellOf = (x, y) => {
+        const cx = Math.max(0, Math.min(cols - 1, Math.floor(x / cellSize)));
+        const cy = Math.max(0, Math.min(rows - 1, Math.floor(y / cellSize)));
+        return { cx, cy };
+    };
+
+    return {
+        cols,
+        rows,
+        cellSize,
+        insert(index, x, y) {
+            const { cx, cy } = cellOf(x, y);
+            cells[cy * cols + cx].push(index);
+        },
+        remove(index, x, y) {
+            const { cx, cy } = cellOf(x, y);
+            const bucket = cells[cy * cols + cx];
+            const i = bucket.indexOf(index);
+            if (i !== -1) {
+                bucket[i] = bucket[bucket.length - 1];
+                bucket.pop();
+            }
+        },
+        // Visit every bucket in the square ring at Chebyshev distance `ring` from (x, y)
+        forEachInRing(x, y, ring, visit) {
+            const { cx, cy } = cellOf(x, y);
+            for (let gy = cy - ring; gy <= cy + ring; gy++) {
+                if (gy < 0 || gy >= rows) continue;
+                const edgeRow = gy === cy - ring || gy === cy + ring;
+                for (let gx = cx - ring; gx <= cx + ring; gx += edgeRow ? 1 : 2 * ring || 1) {
+                    if (gx < 0 || gx >= cols) continue;
+                    const bucket = cells[gy * cols + gx];
+                    for (let k = 0; k < bucket.length; k++) visit(bucket[k]);
+                }
+            }
+        },
+        maxRing() {
+            return Math.max(cols, rows);
+        }
+    };
+}
+
+/**
+ * Place stipple points with density proportional to darkness (dart throwing with a
+ * darkness-dependent minimum distance). Coordinates are local to the width × height area.
+ */
+function generateStipplePoints(count, width, height, darknessAt, seed = 1) {
+    const random = createRandom(seed);
+
+    // Estimate total ink so the local spacing targets the requested point count
+    let inkSum = 0;
+    const probe = 64;
+    for (let j = 0; j < probe; j++) {
+        for (let i = 0; i < probe; i++) {
+            inkSum += darknessAt(((i + 0.5) / probe) * width, ((j + 0.5) / probe) * height);
+        }
+    }
+    const inkArea = (inkSum / (probe * probe)) * width * height;
+    if (inkArea <= 0 || count <= 0) return [];
+
+    // Spacing at full darkness; lighter areas scale it by 1/sqrt(darkness)
+    const minSpacing = 0.6 * Math.sqrt(inkArea / count);
+    const grid = createPointGrid(width, height, minSpacing);
+    const points = [];
+    const maxAttempts = count * 30;
+
+    for (let attempt = 0; attempt < maxAttempts && points.length < count; attempt++) {
+        const x = random() * width;
+        const y = random() * height;
+        const d = darknessAt(x, y);
+        if (d < 0.02 || random() > d) continue;
+
+        const r = minSpacing / Math.sqrt(d);
+        const rings = Math.ceil(r / minSpacing);
+        let tooClose = false;
+        for (let ring = 0; ring <= rings && !tooClose; ring++) {
+            grid.forEachInRing(x, y, ring, (k) => {
+                if (!tooClose && Math.hypot(points[k].x - x, points[k].y - y) < r) tooClose = true;
+            });
+        }
+        if (tooClose) continue;
+
+        grid.insert(points.length, x, y);
+        points.push({ x, y });
+    }
+
+    return points;
+}
+
+/**
+ * Nearest-neighbour open tour over points, returns visiting order as indices
+ */
+function nearestNeighborTour(points, width, height) {
+    const n = points.length;
+    if (n === 0) return [];
+
+    const grid = createPointGrid(width, height, Math.max(0.1, Math.sqrt((width * height) / n)));
+    for (let i = 0; i < n; i++) grid.insert(i, points[i].x, points[i].y);
+
+    const tour = [0];
+    grid.remove(0, points[0].x, points[0].y);
+    let current = 0;
+
+    for (let step = 1; step < n; step++) {
+        const { x, y } = points[current];
+        let best = -1;
+        let bestDist = Infinity;
+        for (let ring = 0; ring <= grid.maxRing(); ring++) {
+            // Points in ring r are at least (r - 1) cells away; stop once that exceeds the best
+            if (best !== -1 && (ring - 1) * grid.cellSize > bestDist) break;
+            grid.forEachInRing(x, y, ring, (k) => {
+                const d = Math.hypot(points[k].x - x, points[k].y - y);
+                if (d < bestDist) {
+                    bestDist = d;
+                    best = k;
+                }
+            });
+        }
+        grid.remove(best, points[best].x, points[best].y);
+        tour.push(best);
+        current = best;
+    }
+
+    return tour;
+}
+
+/**
+ * K nearest neighbours of every point (candidate lists for 2-opt)
+ */
+function nearestNeighborLists(points, width, height, k) {
+    const n = points.length;
+    const grid = createPointGrid(width, height, Math.max(0.1, Math.sqrt((width * height) / Math.max(1, n))));
+    for (let i = 0; i < n; i++) grid.insert(i, points[i].x, points[i].y);
+
+    const lists = new Array(n);
+    for (let i = 0; i < n; i++) {
+        const { x, y } = points[i];
+        let found = [];
+        for (let ring = 0; ring <= grid.maxRing(); ring++) {
+            if (found.length >= k && (ring - 1) * grid.cellSize > found[k - 1].d) break;
+            grid.forEachInRing(x, y, ring, (j) => {
+                if (j !== i) found.push({ j, d: Math.hypot(points[j].x - x, points[j].y - y) });
+            });
+            found.sort((a, b) => a.d - b.d);
+            if (found.length > k) found.length = k;
+        }
+        lists[i] = found.map((f) => f.j);
+    }
+    return lists;
+}
+
+/**
+ * Improve an open tour in place with neighbour-list 2-opt, bounded by a number of passes and of
+ * reversed tour positions (not by time, so the same settings always give the same tour)
+ */
+function improveTourTwoOpt(points, tour, neighbors, maxPasses = 50, reversalBudget = 20000000) {
+    const n = tour.length;
+    if (n < 4) return tour;
+
+    const pos = new Int32Array(n);
+    for (let i = 0; i < n; i++) pos[tour[i]] = i;
+    const dist = (a, b) => Math.hypot(points[a].x - points[b].x, points[a].y - points[b].y);
+
+    // Reverse tour[p+1..q]: edges (t[p],t[p+1]) and (t[q],t[q+1]) become (t[p],t[q]) and (t[p+1],t[q+1])
+    function tryMove(p, q) {
+        const a = tour[p];
+        const b = tour[p + 1];
+        const c = tour[q];
+        const hasTail = q + 1 < n;
+        const d = hasTail ? tour[q + 1] : -1;
+        const before = dist(a, b) + (hasTail ? dist(c, d) : 0);
+        const after = dist(a, c) + (hasTail ? dist(b, d) : 0);
+        if (after >= before - 1e-9) return false;
+
+        budget -= q - p;
+        for (let i = p + 1, j = q; i < j; i++, j--) {
+            const tmp = tour[i];
+            tour[i] = tour[j];
+            tour[j] = tmp;
+            pos[tour[i]] = i;
+            pos[tour[j]] = j;
+        }
+        return true;
+    }
+
+    let budget = reversalBudget;
+    let improved = true;
+    for (let pass = 0; improved && pass < maxPasses && budget > 0; pass++) {
+        improved = false;
+        for (let i = 0; i < n - 1; i++) {
+            const a = tour[i];
+            for (const c of neighbors[a]) {
+                const j = pos[c];
+                if (j > i + 1 && tryMove(i, j)) {
+                    improved = true;
+                    break;
+                }
+                if (j < i - 1 && tryMove(j, i)) {
+                    improved = true;
+                    break;
+                }
+            }
+            if (budget <= 0) break;
+        }
+    }
+
+    return tour;
+}
+
+/**
+ * Single continuous tour through all points: nearest neighbour followed by 2-opt
+ */
+function solveTspTour(points, width, height) {
+    const tour = nearestNeighborTour(points, width, height);
+    const neighbors = nearestNeighborLists(points, width, height, 8);
+    return improveTourTwoOpt(points, tour, neighbors);
+}
+
+/**
+ * Smoothed structure tensor of the darkness field on a regular grid. Its dominant
+ * eigenvector gives a sign-free gradient orientation that is stable in noisy areas.
+ */
+function computeOrientationField(width, height, cellSize, darknessAt, blurCells = 3) {
+    const cols = Math.max(2, Math.ceil(width / cellSize) + 1);
+    const rows = Math.max(2, Math.ceil(height / cellSize) + 1);
+    const n = cols * rows;
+
+    const values = new Float32Array(n);
+    for (let j = 0; j < rows; j++) {
+        for (let i = 0; i < cols; i++) {
+            values[j * cols + i] = darknessAt(Math.min(width, i * cellSize), Math.min(height, j * cellSize));
+        }
+    }
+
+    let xx = new Float32Array(n);
+    let yy = new Float32Array(n);
+    let xy = new Float32Array(n);
+    for (let j = 0; j < rows; j++) {
+        for (let i = 0; i < cols; i++) {
+            const l = values[j * cols + Math.max(0, i - 1)];
+            const r = values[j * cols + Math.min(cols - 1, i + 1)];
+            const b = values[Math.max(0, j - 1) * cols + i];
+            const t = values[Math.min(rows - 1, j + 1) * cols + i];
+            const gx = r - l;
+            const gy = t - b;
+            const k = j * cols + i;
+            xx[k] = gx * gx;
+            yy[k] = gy * gy;
+            xy[k] = gx * gy;
+        }
+    }
+
+    // Separable box blur of the tensor components
+    const blur = (src) => {
+        const tmp = new Float32Array(n);
+        const out = new Float32Array(n);
+        for (let j = 0; j < rows; j++) {
+            for (let i = 0; i < cols; i++) {
+                let sum = 0;
+                let count = 0;
+                for (let k = Math.max(0, i - blurCells); k <= Math.min(cols - 1, i + blurCells); k++) {
+                    sum += src[j * cols + k];
+                    count++;
+                }
+                tmp[j * cols + i] = sum / count;
+            }
+        }
+        for (let j = 0; j < rows; j++) {
+            for (let i = 0; i < cols; i++) {
+                let sum = 0;
+                let count = 0;
+                for (let k = Math.max(0, j - blurCells); k <= Math.min(rows - 1, j + blurCells); k++) {
+                    sum += tmp[k * cols + i];
+                    count++;
+                }
+                out[j * cols + i] = sum / count;
+            }
+        }
+        return out;
+    };
+    xx = blur(xx);
+    yy = blur(yy);
+    xy = blur(xy);
+
+    return { cols, rows, cellSize, xx, yy, xy };
+}
+
+/**
+ * Unit direction of the orientation field at (x, y): along the gradient or along the
+ * isophote (perpendicular to it). Returns null where the field is flat.
+ */
+function orientationAt(field, x, y, alongGradient) {
+    const { cols, rows, cellSize } = field;
+    const fx = Math.max(0, Math.min(cols - 1.001, x / cellSize));
+    const fy = Math.max(0, Math.min(rows - 1.001, y / cellSize));
+    const i = Math.floor(fx);
+    const j = Math.floor(fy);
+    const tx = fx - i;
+    const ty = fy - j;
+    const k = j * cols + i;
+
+    const lerp = (a) =>
+        a[k] * (1 - tx) * (1 - ty) + a[k + 1] * tx * (1 - ty) + a[k + cols] * (1 - tx) * ty + a[k + cols + 1] * tx * ty;
+
+    const xx = lerp(field.xx);
+    const yy = lerp(field.yy);
+    const xy = lerp(field.xy);
+    if (xx + yy < 1e-8) return null;
+
+    const angle = 0.5 * Math.atan2(2 * xy, xx - yy) + (alongGradient ? 0 : Math.PI / 2);
+    return { x: Math.cos(angle), y: Math.sin(angle) };
+}
+
+/**
+ * Evenly spaced streamlines (Jobard–Lefer). Separation between lines is
+ * separationAt(x, y), lines stop in areas where the darkness falls below 5%.
+ * Returns polylines in local width × height coordinates.
+ */
+function traceStreamlines(width, height, options) {
+    const { minSeparation, separationAt, darknessAt, directionAt } = options;
+    const stepLen = minSeparation / 2;
+    const maxSteps = Math.ceil((4 * (width + height)) / stepLen);
+    const fallback = { x: Math.SQRT1_2, y: Math.SQRT1_2 };
+
+    const grid = createPointGrid(width, height, minSeparation);
+    const samples = []; // { x, y, line, index }
+    const lines = [];
+
+    const inside = (x, y) => x >= 0 && x <= width && y >= 0 && y <= height;
+
+    // True if (x, y) has a sample of another line (or a distant part of its own) within dist
+    function isCrowded(x, y, dist, line = -1, index = 0, selfSkip = 0) {
+        const rings = Math.ceil(dist / minSeparation);
+        for (let ring = 0; ring <= rings; ring++) {
+            let crowded = false;
+            grid.forEachInRing(x, y, ring, (k) => {
+                if (crowded) return;
+                const s = samples[k];
+                if (s.line === line && Math.abs(s.index - index) <= selfSkip) return;
+                if (Math.hypot(s.x - x, s.y - y) < dist) crowded = true;
+            });
+            if (crowded) return true;
+        }
+        return false;
+    }
+
+    function alignedDirection(x, y, reference) {
+        const dir = directionAt(x, y) || reference || fallback;
+        if (reference && dir.x * reference.x + dir.y * reference.y < 0) {
+            return { x: -dir.x, y: -dir.y };
+        }
+        return dir;
+    }
+
+    // Integrate from the seed in one direction (sign +1 / -1), midpoint method
+    function integrate(seedX, seedY, sign, lineId, startIndex) {
+        const points = [];
+        let x = seedX;
+        let y = seedY;
+        let dir = alignedDirection(x, y, null);
+        dir = { x: dir.x * sign, y: dir.y * sign };
+
+        for (let step = 0; step < maxSteps; step++) {
+            const mid = alignedDirection(x + (dir.x * stepLen) / 2, y + (dir.y * stepLen) / 2, dir);
+            const nx = x + mid.x * stepLen;
+            const ny = y + mid.y * stepLen;
+            if (!inside(nx, ny) || darknessAt(nx, ny) < 0.05) break;
+
+            const index = startIndex + sign * (step + 1);
+            const selfSkip = Math.ceil((2 * separationAt(nx, ny)) / stepLen);
+            if (isCrowded(nx, ny, separationAt(nx, ny), lineId, index, selfSkip)) break;
+
+            points.push({ x: nx, y: ny, index });
+            samples.push({ x: nx, y: ny, line: lineId, index });
+            grid.insert(samples.length - 1, nx, ny);
+            dir = mid;
+            x = nx;
+            y = ny;
+        }
+        return points;
+    }
+
+    function tryLine(seedX, seedY) {
+        if (!inside(seedX, seedY) || darknessAt(seedX, seedY) < 0.05) return null;
+        if (isCrowded(seedX, seedY, separationAt(seedX, seedY))) return null;
+
+        const lineId = lines.length;
+        const sampleStart = samples.length;
+        samples.push({ x: seedX, y: seedY, line: lineId, index: 0 });
+        grid.insert(sampleStart, seedX, seedY);
+
+        const forward = integrate(seedX, seedY, 1, lineId, 0);
+        const backward = integrate(seedX, seedY, -1, lineId, 0);
+        const points = backward.reverse().concat([{ x: seedX, y: seedY }], forward);
+
+        if (points.length < 4) {
+            // Too short to be worth printing: withdraw its samples
+            for (let k = sampleStart; k < samples.length; k++) {
+                grid.remove(k, samples[k].x, samples[k].y);
+                samples[k].line = -2;
+            }
+            return null;
+        }
+
+        const line = points.map((p) => ({ x: p.x, y: p.y }));
+        lines.push(line);
+        return line;
+    }
+
+    // Seeds come from both sides of every accepted line (a little past the separation, so a
+    // neighbour running parallel is not stopped at once by rounding), then from a regular scan
+    const queue = [];
+    const enqueueSeeds = (line) => {
+        for (let i = 0; i < line.length; i += 2) {
+            const p = line[i];
+            const q = line[Math.min(line.length - 1, i + 1)];
+            const r = line[Math.max(0, i - 1)];
+            const len = Math.hypot(q.x - r.x, q.y - r.y) || 1;
+            const nx = -(q.y - r.y) / len;
+            const ny = (q.x - r.x) / len;
+            const sep = separationAt(p.x, p.y) * 1.05;
+            queue.push({ x: p.x + nx * sep, y: p.y + ny * sep });
+            queue.push({ x: p.x - nx * sep, y: p.y - ny * sep });
+        }
+    };
+
+    for (let gy = minSeparation / 2; gy < height; gy += minSeparation) {
+        for (let gx = minSeparation / 2; gx < width; gx += minSeparation) {
+            const line = tryLine(gx, gy);
+            if (!line) continue;
+            enqueueSeeds(line);
+            while (queue.length > 0) {
+                const seed = queue.pop();
+                const next = tryLine(seed.x, seed.y);
+                if (next) enqueueSeeds(next);
+            }
+        }
+    }
+
+    return lines;
+}
+
+/**
+ * Greedy ordering of polylines to keep travel short: each next polyline is the one
+ * whose nearer endpoint is closest to the current position, reversed when needed.
+ */
+function orderPolylines(polylines, startX = 0, startY = 0) {
+    const remaining = polylines.filter((line) => line.length > 0);
+    const ordered = [];
+    let x = startX;
+    let y = startY;
+
+    while (remaining.length > 0) {
+        let best = 0;
+        let bestDist = Infinity;
+        let bestReversed = false;
+        for (let i = 0; i < remaining.length; i++) {
+            const line = remaining[i];
+            const first = line[0];
+            const last = line[line.length - 1];
+            const dFirst = Math.hypot(first.x - x, first.y - y);
+            const dLast = Math.hypot(last.x - x, last.y - y);
+            if (dFirst < bestDist) {
+                bestDist = dFirst;
+                best = i;
+                bestReversed = false;
+            }
+            if (dLast < bestDist) {
+                bestDist = dLast;
+                best = i;
+                bestReversed = true;
+            }
+        }
+        let line = remaining[best];
+        remaining[best] = remaining[remaining.length - 1];
+        remaining.pop();
+        if (bestReversed) line = line.slice().reverse();
+        ordered.push(line);
+        x = line[line.length - 1].x;
+        y = line[line.length - 1].y;
+    }
+
+    return ordered;
+}
+
+/**
+ * Marching squares over a cols × rows grid of values (row-major, j = up). Returns
+ * polylines in grid units, oriented with values >= level on their left, plus a
+ * closed flag. Pad the grid with values below the level to get only closed loops.
+ */
+function marchingSquares(values, cols, rows, level) {
+    // Edge ids: 0 = bottom, 1 = right, 2 = top, 3 = left (counter-clockwise order)
+    const edgeKey = (i, j, edge) => {
+        if (edge === 0) return 2 * (j * cols + i);
+        if (edge === 1) return 2 * (j * cols + i + 1) + 1;
+        if (edge === 2) return 2 * ((j + 1) * cols + i);
+        return 2 * (j * cols + i) + 1;
+    };
+    const points = new Map();
+    const next = new Map();
+
+    const edgePoint = (i, j, edge) => {
+        const key = edgeKey(i, j, edge);
+        if (!points.has(key)) {
+            const corners = [
+                [i, j],
+                [i + 1, j],
+                [i + 1, j + 1],
+                [i, j + 1]
+            ];
+            const [a, b] = [corners[edge], corners[(edge + 1) % 4]];
+            const va = values[a[1] * cols + a[0]];
+            const vb = values[b[1] * cols + b[0]];
+            const t = va === vb ? 0.5 : (level - va) / (vb - va);
+            points.set(key, { x: a[0] + (b[0] - a[0]) * t, y: a[1] + (b[1] - a[1]) * t });
+        }
+        return key;
+    };
+
+    for (let j = 0; j < rows - 1; j++) {
+        for (let i = 0; i < cols - 1; i++) {
+            const v = [
+                values[j * cols + i],
+                values[j * cols + i + 1],
+                values[(j + 1) * cols + i + 1],
+                values[(j + 1) * cols + i]
+            ];
+            const inside = v.map((value) => value >= level);
+            const crossings = [];
+            for (let edge = 0; edge < 4; edge++) {
+                if (inside[edge] !== inside[(edge + 1) % 4]) crossings.push(edge);
+            }
+            if (crossings.length === 0) continue;
+
+            // Saddles: join the inside corners through the centre when the centre is inside
+            const centerInside = (v[0] + v[1] + v[2] + v[3]) / 4 >= level;
+            const m = crossings.length;
+            for (let k = 0; k < m; k++) {
+                const edge = crossings[k];
+                if (!inside[edge]) continue; // only start at inside → outside crossings
+                const partner = centerInside ? crossings[(k + 1) % m] : crossings[(k - 1 + m) % m];
+                next.set(edgePoint(i, j, edge), edgePoint(i, j, partner));
+            }
+        }
+    }
+
+    // Link directed segments into chains; open chains start where nothing leads in
+    const hasIncoming = new Set(next.values());
+    const visited = new Set();
+    const polylines = [];
+    const walk = (start) => {
+        const chain = [points.get(start)];
+        visited.add(start);
+        let key = next.get(start);
+        while (key !== undefined && !visited.has(key)) {
+            visited.add(key);
+            chain.push(points.get(key));
+            key = next.get(key);
+        }
+        const closed = key === start;
+        polylines.push({ points: chain, closed });
+    };
+
+    for (const start of next.keys()) {
+        if (!hasIncoming.has(start) && !visited.has(start)) walk(start);
+    }
+    for (const start of next.keys()) {
+        if (!visited.has(start)) walk(start);
+    }
+
+    return polylines;
+}
+
+/**
+ * Even-odd point in polygon test
+ */
+function polygonContainsPoint(polygon, x, y) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if (a.y > y !== b.y > y && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Signed polygon area (positive when counter-clockwise)
+ */
+function polygonArea(polygon) {
+    let area = 0;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        area += (polygon[j].x - polygon[i].x) * (polygon[j].y + polygon[i].y);
+    }
+    return area / 2;
+}
+
+/**
+ * Axis-aligned bounds of a polygon
+ */
+function polygonBounds(polygon) {
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    for (const p of polygon) {
+        minX = Math.min(minX, p.x);
+        minY = Math.min(minY, p.y);
+        maxX = Math.max(maxX, p.x);
+        maxY = Math.max(maxY, p.y);
+    }
+    return { minX, minY, maxX, maxY };
+}
+
+/**
+ * Nesting depth of every closed loop: how many of the other loops enclose it
+ */
+function loopNestingDepths(loops) {
+    const bounds = loops.map(polygonBounds);
+    return loops.map((loop, i) => {
+        const p = loop[0];
+        let depth = 0;
+        for (let k = 0; k < loops.length; k++) {
+            if (k === i) continue;
+            const b = bounds[k];
+            const inner = bounds[i];
+            if (inner.minX < b.minX || inner.maxX > b.maxX || inner.minY < b.minY || inner.maxY > b.maxY) continue;
+            if (polygonContainsPoint(loops[k], p.x, p.y)) depth++;
+        }
+        return depth;
+    });
+}
+
+/**
+ * Distance from a point to the segment a–b
+ */
+function segmentDistance(a, b, x, y) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lenSq = dx * dx + dy * dy;
+    const t = lenSq > 1e-12 ? Math.max(0, Math.min(1, ((x - a.x) * dx + (y - a.y) * dy) / lenSq)) : 0;
+    return Math.hypot(x - (a.x + t * dx), y - (a.y + t * dy));
+}
+
+/**
+ * Distance from a point to the nearest edge of a closed polygon
+ */
+function polygonEdgeDistance(polygon, x, y) {
+    let best = Infinity;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        best = Math.min(best, segmentDistance(polygon[j], polygon[i], x, y));
+    }
+    return best;
+}
+
+/**
+ * Closed polygon with extra vertices so no edge is longer than `step`
+ */
+function densifyPolygon(polygon, step) {
+    const dense = [];
+    for (let i = 0; i < polygon.length; i++) {
+        const a = polygon[i];
+        const b = polygon[(i + 1) % polygon.length];
+        const steps = Math.max(1, Math.ceil(Math.hypot(b.x - a.x, b.y - a.y) / step));
+        for (let k = 0; k < steps; k++) dense.push({ x: a.x + ((b.x - a.x) * k) / steps, y: a.y + ((b.y - a.y) * k) / steps });
+    }
+    return dense;
+}
+
+/**
+ * Inset a counter-clockwise polygon by `distance` (negative grows it) with mitred corners.
+ * Miters are capped at 4× the distance, so sharp tips get blunted rather than spiking, and
+ * inset vertices that cross over in narrow spots are dropped unless `filter` is false.
+ */
+function offsetPolygon(polygon, distance, filter = true) {
+    const n = polygon.length;
+    const inwardNormal = (a, b) => {
+        const len = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+        return { x: -(b.y - a.y) / len, y: (b.x - a.x) / len };
+    };
+
+    const result = polygon.map((curr, i) => {
+        const n1 = inwardNormal(polygon[(i + n - 1) % n], curr);
+        const n2 = inwardNormal(curr, polygon[(i + 1) % n]);
+        let bx = n1.x + n2.x;
+        let by = n1.y + n2.y;
+        const len = Math.hypot(bx, by);
+        if (len < 1e-9) {
+            bx = n1.x;
+            by = n1.y;
+        } else {
+            bx /= len;
+            by /= len;
+        }
+        const miter = distance / Math.max(0.25, bx * n1.x + by * n1.y);
+        return { x: curr.x + bx * miter, y: curr.y + by * miter };
+    });
+
+    // Material lies inside a counter-clockwise loop and outside a clockwise (hole) one
+    if (distance <= 0 || !filter) return result;
+    const isHole = polygonArea(polygon) < 0;
+    return result.filter(
+        (p) =>
+            polygonContainsPoint(polygon, p.x, p.y) !== isHole && polygonEdgeDistance(polygon, p.x, p.y) >= distance * 0.9
+    );
+}
+
+/**
+ * Even-odd point test against a set of loops (outlines and holes)
+ */
+function loopsContainPoint(loops, x, y) {
+    let inside = false;
+    for (const loop of loops) {
+        if (polygonContainsPoint(loop, x, y)) inside = !inside;
+    }
+    return inside;
+}
+
+/**
+ * Signed distance to the edges of a set of loops (positive inside, even-odd) sampled at cell
+ * centres on first use, so clearance tests only scan every edge near the threshold.
+ * `isClear(x, y, d)`: inside and at least `d` from every edge. `maxDepth()`: no inside point
+ * is further than this from an edge.
+ */
+function buildClearanceGrid(loops, cellSize) {
+    const { minX, minY, maxX, maxY } = polygonBounds(loops.flat());
+    const cols = Math.max(1, Math.ceil((maxX - minX) / cellSize));
+    const rows = Math.max(1, Math.ceil((maxY - minY) / cellSize));
+    // A point lies within half a cell diagonal of its cell centre, and distance changes no faster
+    const slack = cellSize * Math.SQRT1_2;
+
+    // Edges bucketed a few cells across, so nearest-edge searches only visit nearby buckets
+    const bucketSize = cellSize * 4;
+    const bucketCols = Math.ceil((maxX - minX) / bucketSize) + 1;
+    const bucketRows = Math.ceil((maxY - minY) / bucketSize) + 1;
+    const buckets = Array.from({ length: bucketCols * bucketRows }, () => []);
+    for (const loop of loops) {
+        for (let i = 0, j = loop.length - 1; i < loop.length; j = i++) {
+            const a = loop[j];
+            const b = loop[i];
+            const i0 = Math.floor((Math.min(a.x, b.x) - minX) / bucketSize);
+            const i1 = Math.floor((Math.max(a.x, b.x) - minX) / bucketSize);
+            const j0 = Math.floor((Math.min(a.y, b.y) - minY) / bucketSize);
+            const j1 = Math.floor((Math.max(a.y, b.y) - minY) / bucketSize);
+            for (let bj = j0; bj <= j1; bj++) {
+                for (let bi = i0; bi <= i1; bi++) buckets[bj * bucketCols + bi].push([a, b]);
+            }
+        }
+    }
+    // Distance to the nearest edge from a point inside the bounds, searched in rings of buckets;
+    // once the rings reach `limit` the result is only known to be at least `limit`. With every
+    // edge known to be at least `lowerBound` away, the nearest one cannot lie in the inner rings.
+    const nearestEdge = (x, y, limit = Infinity, lowerBound = 0) => {
+        const bi = Math.floor((x - minX) / bucketSize);
+        const bj = Math.floor((y - minY) / bucketSize);
+        let best = Infinity;
+        const firstRing = Math.max(0, Math.floor(lowerBound / (bucketSize * Math.SQRT2)) - 1);
+        for (let ring = firstRing; ring <= bucketCols + bucketRows; ring++) {
+            for (let j = Math.max(0, bj - ring); j <= Math.min(bucketRows - 1, bj + ring); j++) {
+                // Whole rows at the top and bottom of the ring, only its two ends in between
+                const step = j === bj - ring || j === bj + ring ? 1 : 2 * ring;
+                for (let i = bi - ring; i <= bi + ring; i += step) {
+                    if (i < 0 || i >= bucketCols) continue;
+                    for (const [a, b] of buckets[j * bucketCols + i]) best = Math.min(best, segmentDistance(a, b, x, y));
+                }
+            }
+            // Every edge outside the rings searched so far is at least this far away
+            const reach = ring * bucketSize;
+            if (best <= reach || reach >= limit) break;
+        }
+        return best;
+    };
+
+    // Cell depths, exact or (searched only as far as a test needed) a lower bound of the distance
+    const depth = new Float64Array(cols * rows).fill(NaN);
+    const exact = new Uint8Array(cols * rows);
+    const cellDepth = (i, j, limit = Infinity) => {
+        const k = j * cols + i;
+        if (Number.isNaN(depth[k]) || (!exact[k] && Math.abs(depth[k]) < limit)) {
+            const x = minX + (i + 0.5) * cellSize;
+            const y = minY + (j + 0.5) * cellSize;
+            // A neighbouring cell's depth bounds this one to within a cell width
+            const known = [i > 0 && k - 1, j > 0 && k - cols, i < cols - 1 && k + 1, j < rows - 1 && k + cols].find(
+                (n) => n !== false && !Number.isNaN(depth[n])
+            );
+            const d = nearestEdge(x, y, limit, known === undefined ? 0 : Math.abs(depth[known]) - cellSize);
+            exact[k] = d < limit ? 1 : 0;
+            depth[k] = (loopsContainPoint(loops, x, y) ? 1 : -1) * Math.min(d, limit);
+        }
+        return depth[k];
+    };
+    return {
+        maxDepth() {
+            // Every fourth cell each way: any point lies within four cells of a sampled centre
+            const stride = 4;
+            const reach = stride * cellSize * Math.SQRT2;
+            let deepest = 0;
+            for (let j = Math.min(rows - 1, stride / 2); j < rows; j += stride) {
+                for (let i = Math.min(cols - 1, stride / 2); i < cols; i += stride) {
+                    deepest = Math.max(deepest, cellDepth(i, j) + reach);
+                }
+            }
+            return deepest;
+        },
+        isClear(x, y, minDistance) {
+            const i = Math.floor((x - minX) / cellSize);
+            const j = Math.floor((y - minY) / cellSize);
+            if (i < 0 || j < 0 || i >= cols || j >= rows) return false;
+            const d = cellDepth(i, j, minDistance + slack);
+            if (d - slack >= minDistance) return true;
+            if (d + slack < minDistance) return false;
+            return loopsContainPoint(loops, x, y) && nearestEdge(x, y, minDistance) >= minDistance;
+        }
+    };
+}
+
+/**
+ * Horizontal scanline spans inside a set of loops (even-odd, so holes stay empty),
+ * `spacing` apart: [{ x0, x1, y }]
+ */
+function polygonScanlines(loops, spacing) {
+    const { minY, maxY } = polygonBounds(loops.flat());
+    const spans = [];
+    for (let y = minY + spacing / 2; y < maxY; y += spacing) {
+        const xs = [];
+        for (const polygon of loops) {
+            for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+                const a = polygon[j];
+                const b = polygon[i];
+                if (a.y > y !== b.y > y) xs.push(a.x + ((y - a.y) / (b.y - a.y)) * (b.x - a.x));
+            }
+        }
+        xs.sort((p, q) => p - q);
+        for (let k = 0; k + 1 < xs.length; k += 2) {
+            if (xs[k + 1] - xs[k] > 1e-6) spans.push({ x0: xs[k], x1: xs[k + 1], y });
+        }
+    }
+    return spans;
+}
+
+// ==================== SVG IMPORT ====================
+
+/**
+ * Parse an SVG transform attribute into an affine matrix [a, b, c, d, e, f]
+ * (x' = a·x + c·y + e, y' = b·x + d·y + f).
+ */
+function parseSvgTransform(text) {
+    let matrix = [1, 0, 0, 1, 0, 0];
+    const re = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+    let match;
+    while ((match = re.exec(text || "")) !== null) {
+        const args = (match[2].match(/-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi) || []).map(Number);
+        let m;
+        switch (match[1]) {
+            case "matrix":
+                m = args.length === 6 ? args : [1, 0, 0, 1, 0, 0];
+                break;
+            case "translate":
+                m = [1, 0, 0, 1, args[0] || 0, args[1] || 0];
+                break;
+            case "scale":
+                m = [args[0] ?? 1, 0, 0, args[1] ?? args[0] ?? 1, 0, 0];
+                break;
+            case "rotate": {
+                const a = ((args[0] || 0) * Math.PI) / 180;
+                const cx = args[1] || 0;
+                const cy = args[2] || 0;
+                const cos = Math.cos(a);
+                const sin = Math.sin(a);
+                m = [cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy];
+                break;
+            }
+            case "skewX":
+                m = [1, 0, Math.tan(((args[0] || 0) * Math.PI) / 180), 1, 0, 0];
+                break;
+            case "skewY":
+                m = [1, Math.tan(((args[0] || 0) * Math.PI) / 180), 0, 1, 0, 0];
+                break;
+        }
+        matrix = multiplySvgMatrix(matrix, m);
+    }
+    return matrix;
+}
+
+/**
+ * Compose two affine matrices: the result applies m2 first, then m1.
+ */
+function multiplySvgMatrix(m1, m2) {
+    return [
+        m1[0] * m2[0] + m1[2] * m2[1],
+        m1[1] * m2[0] + m1[3] * m2[1],
+        m1[0] * m2[2] + m1[2] * m2[3],
+        m1[1] * m2[2] + m1[3] * m2[3],
+        m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+        m1[1] * m2[4] + m1[3] * m2[5] + m1[5]
+    ];
+}
+
+/**
+ * Flatten SVG path data into subpaths of points ({ points, closed }).
+ * Curves and arcs are split so each piece is at most `step` user units long.
+ */
+function flattenSvgPathData(d, step) {
+    const tokens = (d || "").match(/[a-zA-Z]|-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi) || [];
+    const subpaths = [];
+    let current = null;
+    let x = 0;
+    let y = 0;
+    let startX = 0;
+    let startY = 0;
+    let lastControlX = 0;
+    let lastControlY = 0;
+    let lastCommand = "";
+    let command = "";
+    let i = 0;
+
+    const isCommand = (t) => /^[a-zA-Z]$/.test(t);
+    const num = () => parseFloat(tokens[i++]);
+    const lineTo = (nx, ny) => {
+        if (!current) {
+            current = { points: [{ x, y }], closed: false };
+            subpaths.push(current);
+        }
+        current.points.push({ x: nx, y: ny });
+        x = nx;
+        y = ny;
+    };
+    const segmentsFor = (length) => Math.max(2, Math.min(256, Math.ceil(length / step)));
+    const cubicTo = (x1, y1, x2, y2, nx, ny) => {
+        const x0 = x;
+        const y0 = y;
+        const n = segmentsFor(Math.hypot(x1 - x0, y1 - y0) + Math.hypot(x2 - x1, y2 - y1) + Math.hypot(nx - x2, ny - y2));
+        for (let k = 1; k <= n; k++) {
+            const t = k / n;
+            const mt = 1 - t;
+            lineTo(
+                mt * mt * mt * x0 + 3 * mt * mt * t * x1 + 3 * mt * t * t * x2 + t * t * t * nx,
+                mt * mt * mt * y0 + 3 * mt * mt * t * y1 + 3 * mt * t * t * y2 + t * t * t * ny
+            );
+        }
+    };
+    const quadTo = (x1, y1, nx, ny) => {
+        const x0 = x;
+        const y0 = y;
+        const n = segmentsFor(Math.hypot(x1 - x0, y1 - y0) + Math.hypot(nx - x1, ny - y1));
+        for (let k = 1; k <= n; k++) {
+            const t = k / n;
+            const mt = 1 - t;
+            lineTo(mt * mt * x0 + 2 * mt * t * x1 + t * t * nx, mt * mt * y0 + 2 * mt * t * y1 + t * t * ny);
+        }
+    };
+    // Endpoint to centre parameterization (SVG spec, appendix B.2.4)
+    const arcTo = (rx, ry, rotationDeg, largeArc, sweep, nx, ny) => {
+        rx = Math.abs(rx);
+        ry = Math.abs(ry);
+        if (rx < 1e-12 || ry < 1e-12 || (Math.abs(nx - x) < 1e-12 && Math.abs(ny - y) < 1e-12)) {
+            lineTo(nx, ny);
+            return;
+        }
+        const phi = (rotationDeg * Math.PI) / 180;
+        const cos = Math.cos(phi);
+        const sin = Math.sin(phi);
+        const dx2 = (x - nx) / 2;
+        const dy2 = (y - ny) / 2;
+        const x1p = cos * dx2 + sin * dy2;
+        const y1p = -sin * dx2 + cos * dy2;
+        const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+        if (lambda > 1) {
+            rx *= Math.sqrt(lambda);
+            ry *= Math.sqrt(lambda);
+        }
+        const num2 = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+        const den = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+        let coef = Math.sqrt(Math.max(0, num2 / den));
+        if (largeArc === sweep) coef = -coef;
+        const cxp = (coef * rx * y1p) / ry;
+        const cyp = (-coef * ry * x1p) / rx;
+        const cx = cos * cxp - sin * cyp + (x + nx) / 2;
+        const cy = sin * cxp + cos * cyp + (y + ny) / 2;
+
+        const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+        const theta1 = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+        let delta = angle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+        if (!sweep && delta > 0) delta -= TWO_PI;
+        if (sweep && delta < 0) delta += TWO_PI;
+
+        const n = segmentsFor(Math.abs(delta) * Math.max(rx, ry));
+        for (let k = 1; k <= n; k++) {
+            const t = theta1 + (delta * k) / n;
+            if (k === n) {
+                lineTo(nx, ny);
+            } else {
+                lineTo(cx + rx * Math.cos(t) * cos - ry * Math.sin(t) * sin, cy + rx * Math.cos(t) * sin + ry * Math.sin(t) * cos);
+            }
+        }
+    };
+
+    while (i < tokens.length) {
+        if (isCommand(tokens[i])) {
+            command = tokens[i++];
+        } else if (!command) {
+            break;
+        }
+        const rel = command === command.toLowerCase();
+        const ox = rel ? x : 0;
+        const oy = rel ? y : 0;
+
+        switch (command.toUpperCase()) {
+            case "M": {
+                const nx = num() + ox;
+                const ny = num() + oy;
+                current = { points: [{ x: nx, y: ny }], closed: false };
+                subpaths.push(current);
+                x = startX = nx;
+                y = startY = ny;
+                // Further coordinate pairs are implicit line-tos
+                command = rel ? "l" : "L";
+                break;
+            }
+            case "L":
+                lineTo(num() + ox, num() + oy);
+                break;
+            case "H":
+                lineTo(num() + ox, y);
+                break;
+            case "V":
+                lineTo(x, num() + oy);
+                break;
+            case "C": {
+                const x1 = num() + ox;
+                const y1 = num() + oy;
+                const x2 = num() + ox;
+                const y2 = num() + oy;
+                cubicTo(x1, y1, x2, y2, num() + ox, num() + oy);
+                lastControlX = x2;
+                lastControlY = y2;
+                break;
+            }
+            case "S": {
+                const smooth = /[CS]/i.test(lastCommand);
+                const x1 = smooth ? 2 * x - lastControlX : x;
+                const y1 = smooth ? 2 * y - lastControlY : y;
+                const x2 = num() + ox;
+                const y2 = num() + oy;
+                cubicTo(x1, y1, x2, y2, num() + ox, num() + oy);
+                lastControlX = x2;
+                lastControlY = y2;
+                break;
+            }
+            case "Q": {
+                const x1 = num() + ox;
+                const y1 = num() + oy;
+                quadTo(x1, y1, num() + ox, num() + oy);
+                lastControlX = x1;
+                lastControlY = y1;
+                break;
+            }
+            case "T": {
+                const smooth = /[QT]/i.test(lastCommand);
+                const x1 = smooth ? 2 * x - lastControlX : x;
+                const y1 = smooth ? 2 * y - lastControlY : y;
+                quadTo(x1, y1, num() + ox, num() + oy);
+                lastControlX = x1;
+                lastControlY = y1;
+                break;
+            }
+            case "A": {
+                const rx = num();
+                const ry = num();
+                const rotation = num();
+                const largeArc = num() !== 0;
+                const sweep = num() !== 0;
+                arcTo(rx, ry, rotation, largeArc, sweep, num() + ox, num() + oy);
+                break;
+            }
+            case "Z":
+                if (current) {
+                    current.closed = true;
+                    current = null;
+                }
+                x = startX;
+                y = startY;
+                break;
+            default:
+                // Unknown command: stop rather than misread the remaining numbers
+                i = tokens.length;
+        }
+        lastCommand = command;
+        // Numbers after Z have no command to repeat
+        if (command.toUpperCase() === "Z") command = "";
+    }
+
+    return subpaths.filter((sp) => sp.points.length > 1 && sp.points.every((p) => isFinite(p.x) && isFinite(p.y)));
+}
+
+/**
+ * Read the drawable geometry of an SVG document: every shape's subpaths in viewBox user
+ * units (transforms applied), whether it is filled and its stroke width (0 = no stroke).
+ * Returns { viewBox: { x, y, width, height }, shapes: [{ subpaths, fill, fillRule, strokeWidth }] }.
+ */
+function parseSvgArtwork(svgText) {
+    const doc = new DOMParser().parseFromString(svgText, "image/svg+xml");
+    const svg = doc.documentElement;
+    if (!svg || svg.nodeName.toLowerCase() !== "svg" || doc.getElementsByTagName("parsererror").length > 0) {
+        throw new Error("Not a valid SVG document");
+    }
+
+    const length = (value, fallback) => {
+        const n = parseFloat(value);
+        return isFinite(n) ? n : fallback;
+    };
+    const vbValues = (svg.getAttribute("viewBox") || "").split(/[\s,]+/).map(Number);
+    const viewBox =
+        vbValues.length === 4 && vbValues.every(isFinite) && vbValues[2] > 0 && vbValues[3] > 0
+            ? { x: vbValues[0], y: vbValues[1], width: vbValues[2], height: vbValues[3] }
+            : { x: 0, y: 0, width: length(svg.getAttribute("width"), 100), height: length(svg.getAttribute("height"), 100) };
+    const step = Math.hypot(viewBox.width, viewBox.height) / 2000;
+
+    // Presentation attribute, overridden by an inline style declaration
+    const styleValue = (el, name) => {
+        const match = (el.getAttribute("style") || "").match(new RegExp(`(?:^|;)\\s*${name}\\s*:\\s*([^;]+)`));
+        return match ? match[1].trim() : el.getAttribute(name);
+    };
+
+    const shapes = [];
+    const skipped = new Set(["defs", "clippath", "mask", "symbol", "marker", "pattern", "style", "title", "desc", "metadata"]);
+
+    const visit = (el, matrix, inherited) => {
+        const tag = el.nodeName.toLowerCase();
+        if (skipped.has(tag) || styleValue(el, "display") === "none" || styleValue(el, "visibility") === "hidden") return;
+
+        const m = multiplySvgMatrix(matrix, parseSvgTransform(el.getAttribute("transform")));
+        const style = { ...inherited };
+        for (const name of ["fill", "stroke", "stroke-width", "fill-rule", "fill-opacity", "stroke-opacity"]) {
+            const value = styleValue(el, name);
+            if (value !== null && value !== "" && value !== "inherit") style[name] = value;
+        }
+
+        let subpaths = null;
+        const attr = (name) => length(el.getAttribute(name), 0);
+        switch (tag) {
+            case "path":
+                subpaths = flattenSvgPathData(el.getAttribute("d"), step);
+                break;
+            case "rect": {
+                const w = attr("width");
+                const h = attr("height");
+                const rx = Math.min(w / 2, length(el.getAttribute("rx"), length(el.getAttribute("ry"), 0)));
+                const ry = Math.min(h / 2, length(el.getAttribute("ry"), rx));
+                const x = attr("x");
+                const y = attr("y");
+                if (w > 0 && h > 0) {
+                    const d =
+                        rx > 0 && ry > 0
+                            ? `M${x + rx},${y} H${x + w - rx} A${rx},${ry} 0 0 1 ${x + w},${y + ry} V${y + h - ry} ` +
+                              `A${rx},${ry} 0 0 1 ${x + w - rx},${y + h} H${x + rx} A${rx},${ry} 0 0 1 ${x},${y + h - ry} ` +
+                              `V${y + ry} A${rx},${ry} 0 0 1 ${x + rx},${y} Z`
+                            : `M${x},${y} H${x + w} V${y + h} H${x} Z`;
+                    subpaths = flattenSvgPathData(d, step);
+                }
+                break;
+            }
+            case "circle":
+            case "ellipse": {
+                const cx = attr("cx");
+                const cy = attr("cy");
+                const rx = tag === "circle" ? attr("r") : attr("rx");
+                const ry = tag === "circle" ? attr("r") : attr("ry");
+                if (rx > 0 && ry > 0) {
+                    subpaths = flattenSvgPathData(
+                        `M${cx + rx},${cy} A${rx},${ry} 0 1 1 ${cx - rx},${cy} A${rx},${ry} 0 1 1 ${cx + rx},${cy} Z`,
+                        step
+                    );
+                }
+                break;
+            }
+            case "line":
+                subpaths = flattenSvgPathData(`M${attr("x1")},${attr("y1")} L${attr("x2")},${attr("y2")}`, step);
+                break;
+            case "polyline":
+            case "polygon": {
+                const values = el.getAttribute("points") || "";
+                if (values.trim()) subpaths = flattenSvgPathData(`M${values}${tag === "polygon" ? "Z" : ""}`, step);
+                break;
+            }
+            default:
+                for (const child of Array.from(el.children)) visit(child, m, style);
+                return;
+        }
+        if (!subpaths || subpaths.length === 0) return;
+
+        const fill = style.fill !== "none" && parseFloat(style["fill-opacity"] ?? 1) > 0 && tag !== "line";
+        const stroked = style.stroke && style.stroke !== "none" && parseFloat(style["stroke-opacity"] ?? 1) > 0;
+        // Stroke width scales with the transform's mean scale factor
+        const scale = Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+        const strokeWidth = stroked ? length(style["stroke-width"], 1) * scale : 0;
+        if (!fill && strokeWidth <= 0) return;
+
+        shapes.push({
+            subpaths: subpaths.map((sp) => ({
+                points: sp.points.map((p) => ({ x: m[0] * p.x + m[2] * p.y + m[4], y: m[1] * p.x + m[3] * p.y + m[5] })),
+                closed: sp.closed
+            })),
+            fill,
+            fillRule: style["fill-rule"] === "evenodd" ? "evenodd" : "nonzero",
+            strokeWidth
+        });
+    };
+
+    visit(svg, [1, 0, 0, 1, 0, 0], { fill: "black" });
+    return { viewBox, shapes };
+}
+
 // ==================== CLEANUP FUNCTIONS ====================
 
 /**
@@ -292,8 +1975,15 @@ function cleanup() {
         appState.originalImage = null;
     }
 
+    appState.svgArtwork = null;
     appState.cachedPixels = null;
     appState.cachedDimensions = null;
+    appState.adjustedPixels = null;
+    appState.adjustedKey = null;
+    appState.adjustedPreviewCanvas = null;
+    appState.sourceHasAlpha = null;
+    appState.paintMask = null;
+    appState.paintMaskCanvas = null;
 }
 
 // ==================== IMAGE HANDLING ====================
@@ -341,11 +2031,12 @@ function drawImageSlicePreview(bedWidth, bedHeight, originAtCenter, offsetX, off
         const hideImageOverlay = getElement("hideImageOverlay");
         const hideImageOverlayChecked = hideImageOverlay ? hideImageOverlay.checked : false;
 
-        if (hideImageOverlayChecked) {
-            const sX_norm = appState.imageOffsetX;
-            const sY_norm = appState.imageOffsetY;
-            const sW_norm = 1.0 / appState.imageZoom;
-            const sH_norm = 1.0 / appState.imageZoom;
+        const paintMaskCanvas = getPaintMaskCanvas();
+
+        if (hideImageOverlayChecked || paintMaskCanvas) {
+            const imageWidth = appState.originalImage.width;
+            const imageHeight = appState.originalImage.height;
+            const aspect = appState.originalImageRatio || 1;
 
             previewCtx.save();
             previewCtx.translate(offsetX + dispOX, offsetY + dispOY);
@@ -360,17 +2051,40 @@ function drawImageSlicePreview(bedWidth, bedHeight, originAtCenter, offsetX, off
                 previewCtx.scale(-1, 1);
             }
 
-            previewCtx.drawImage(
-                appState.originalImage,
-                appState.originalImage.width * sX_norm,
-                appState.originalImage.height * sY_norm,
-                appState.originalImage.width * sW_norm,
-                appState.originalImage.height * sH_norm,
-                0,
-                0,
-                printWidth,
-                printHeight
-            );
+            previewCtx.beginPath();
+            previewCtx.rect(0, 0, printWidth, printHeight);
+            previewCtx.clip();
+            if (hideImageOverlayChecked && appState.imageFill === "black") {
+                previewCtx.fillStyle = "#000000";
+                previewCtx.fillRect(0, 0, printWidth, printHeight);
+            }
+
+            // Same chain as printToSourceUV(), forwards: print UV → rotation → flips → pan/zoom → pixels
+            previewCtx.scale(printWidth, printHeight);
+            previewCtx.translate(0.5, 0.5);
+            previewCtx.scale(1 / aspect, 1);
+            previewCtx.rotate((appState.imageRotation * Math.PI) / 180);
+            previewCtx.scale(aspect, 1);
+            previewCtx.translate(-0.5, -0.5);
+            if (appState.imageFlipH) {
+                previewCtx.translate(1, 0);
+                previewCtx.scale(-1, 1);
+            }
+            if (appState.imageFlipV) {
+                previewCtx.translate(0, 1);
+                previewCtx.scale(1, -1);
+            }
+            previewCtx.scale(appState.imageZoom, appState.imageZoom);
+            previewCtx.translate(-appState.imageOffsetX, -appState.imageOffsetY);
+
+            if (hideImageOverlayChecked) {
+                previewCtx.drawImage(getPreviewImageSource(), 0, 0, imageWidth, imageHeight, 0, 0, 1, 1);
+            }
+
+            // Paint mask shares the image's UV space, so it is stretched over the same unit square
+            if (paintMaskCanvas) {
+                previewCtx.drawImage(paintMaskCanvas, 0, 0, paintMaskCanvas.width, paintMaskCanvas.height, 0, 0, 1, 1);
+            }
 
             previewCtx.restore();
         }
@@ -383,17 +2097,136 @@ function drawImageSlicePreview(bedWidth, bedHeight, originAtCenter, offsetX, off
     }
 }
 
+// sRGB 0..255 → linear light 0..1
+const SRGB_TO_LINEAR = Array.from({ length: 256 }, (_, v) => {
+    const c = v / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+});
+
+/**
+ * Brightness function (pixels, byteIndex) → 0..255 for a luminance model: "average",
+ * "rec601", "rec709", "cieL", "red", "green", "blue", or "color" (distance from `color`,
+ * reaching white at `tolerance`, so pixels near the picked colour print darkest).
+ */
+function createLuminanceModel(model, color = { r: 0, g: 0, b: 0 }, tolerance = 120) {
+    switch (model) {
+        case "rec601":
+            return (p, i) => 0.299 * p[i] + 0.587 * p[i + 1] + 0.114 * p[i + 2];
+        case "rec709":
+            return (p, i) => 0.2126 * p[i] + 0.7152 * p[i + 1] + 0.0722 * p[i + 2];
+        case "cieL":
+            return (p, i) => {
+                const y =
+                    0.2126 * SRGB_TO_LINEAR[p[i]] + 0.7152 * SRGB_TO_LINEAR[p[i + 1]] + 0.0722 * SRGB_TO_LINEAR[p[i + 2]];
+                const f = y > 216 / 24389 ? Math.cbrt(y) : (24389 / 27 * y + 16) / 116;
+                return ((116 * f - 16) / 100) * 255;
+            };
+        case "red":
+            return (p, i) => p[i];
+        case "green":
+            return (p, i) => p[i + 1];
+        case "blue":
+            return (p, i) => p[i + 2];
+        case "color":
+            return (p, i) => {
+                const dist = Math.hypot(p[i] - color.r, p[i + 1] - color.g, p[i + 2] - color.b);
+                return Math.min(1, dist / Math.max(1, tolerance)) * 255;
+            };
+        default:
+            return (p, i) => (p[i] + p[i + 1] + p[i + 2]) / 3.0;
+    }
+}
+
+/**
+ * Luminance model selected in the UI
+ */
+function readLuminanceModel() {
+    const hex = getElement("lumaColor")?.value || "#000000";
+    const value = parseInt(hex.slice(1), 16);
+    const color = isFinite(value) ? { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255 } : undefined;
+    return createLuminanceModel(
+        getElement("luminanceModel")?.value || "average",
+        color,
+        safeParseFloat(getElement("lumaTolerance")?.value, 120, 1, 442)
+    );
+}
+
+/**
+ * Undo the placement rotation (clockwise, about the print centre, in mm) and flips:
+ * print UV (v down) → view UV, the frame that pan and zoom apply to
+ */
+function printToViewUV(u_print, v_print_ydown) {
+    const aspect = appState.originalImageRatio || 1;
+    const angle = (appState.imageRotation * Math.PI) / 180;
+    const dx = (u_print - 0.5) * aspect;
+    const dy = v_print_ydown - 0.5;
+
+    let u_view = 0.5 + (dx * Math.cos(angle) + dy * Math.sin(angle)) / aspect;
+    let v_view = 0.5 - dx * Math.sin(angle) + dy * Math.cos(angle);
+    if (appState.imageFlipH) u_view = 1 - u_view;
+    if (appState.imageFlipV) v_view = 1 - v_view;
+    return { u_view, v_view };
+}
+
 /**
- * Get brightness at UV coordinates with gamma correction
+ * Inverse of printToViewUV()
  */
-function getBrightnessAtUV(u_print, v_print_yup, pixels, anaW, anaH, gammaVal) {
-    const v_print_ydown = 1.0 - v_print_yup;
+function viewToPrintUV(u_view, v_view) {
+    const aspect = appState.originalImageRatio || 1;
+    const angle = (appState.imageRotation * Math.PI) / 180;
+    if (appState.imageFlipH) u_view = 1 - u_view;
+    if (appState.imageFlipV) v_view = 1 - v_view;
+    const dx = (u_view - 0.5) * aspect;
+    const dy = v_view - 0.5;
+
+    return {
+        u_print: 0.5 + (dx * Math.cos(angle) - dy * Math.sin(angle)) / aspect,
+        v_print_ydown: 0.5 + dx * Math.sin(angle) + dy * Math.cos(angle)
+    };
+}
+
+/**
+ * Map print UV (v up) to clamped source image UV (v down) through the current placement.
+ * `outside` is set where the image does not cover the print (zoomed out or rotated).
+ */
+function printToSourceUV(u_print, v_print_yup) {
+    const { u_view, v_view } = printToViewUV(u_print, 1.0 - v_print_yup);
+
+    const u_source = u_view / appState.imageZoom + appState.imageOffsetX;
+    const v_source = v_view / appState.imageZoom + appState.imageOffsetY;
+    const outside = u_source < -1e-9 || u_source > 1 + 1e-9 || v_source < -1e-9 || v_source > 1 + 1e-9;
+
+    return { u_source: Math.max(0, Math.min(1, u_source)), v_source: Math.max(0, Math.min(1, v_source)), outside };
+}
 
-    let u_source = u_print / appState.imageZoom + appState.imageOffsetX;
-    let v_source = v_print_ydown / appState.imageZoom + appState.imageOffsetY;
+/**
+ * Map source image UV (v down) to print UV (v down); inverse of printToSourceUV()
+ */
+function sourceToPrintUV(u_source, v_source) {
+    return viewToPrintUV(
+        (u_source - appState.imageOffsetX) * appState.imageZoom,
+        (v_source - appState.imageOffsetY) * appState.imageZoom
+    );
+}
+
+/**
+ * Clamp the pan offset so the view stays on the image (or, zoomed out, the image stays in view)
+ */
+function clampImageOffset(offset) {
+    const limit = 1 - 1 / appState.imageZoom;
+    return Math.max(Math.min(0, limit), Math.min(Math.max(0, limit), offset));
+}
 
-    u_source = Math.max(0, Math.min(1, u_source));
-    v_source = Math.max(0, Math.min(1, v_source));
+/**
+ * Get darkness (0 = white, 1 = black) at UV coordinates, after an optional tone curve.
+ * `luminance` is a createLuminanceModel() function; the RGB average by default.
+ */
+function getBrightnessAtUV(u_print, v_print_yup, pixels, anaW, anaH, toneCurve = null, luminance = null) {
+    const { u_source, v_source, outside } = printToSourceUV(u_print, v_print_yup);
+    if (outside) {
+        const fill = appState.imageFill === "black" ? 0 : 1;
+        return 1.0 - (toneCurve ? toneCurve(fill) : fill);
+    }
 
     // Bilinear interpolation
     const xf = u_source * (anaW - 1);
@@ -407,7 +2240,7 @@ function getBrightnessAtUV(u_print, v_print_yup, pixels, anaW, anaH, gammaVal) {
 
     function pixelBrightness(px, py) {
         const idx = (py * anaW + px) * 4;
-        return (pixels[idx] + pixels[idx + 1] + pixels[idx + 2]) / 3.0;
+        return luminance ? luminance(pixels, idx) : (pixels[idx] + pixels[idx + 1] + pixels[idx + 2]) / 3.0;
     }
 
     const c00 = pixelBrightness(x0, y0);
@@ -418,32 +2251,687 @@ function getBrightnessAtUV(u_print, v_print_yup, pixels, anaW, anaH, gammaVal) {
     const avgColor = c00 * (1 - tx) * (1 - ty) + c10 * tx * (1 - ty) + c01 * (1 - tx) * ty + c11 * tx * ty;
 
     let val = avgColor / 255.0;
-    val = Math.pow(val, 1.0 / gammaVal);
+    if (toneCurve) val = toneCurve(val);
 
     return 1.0 - val;
 }
 
+/**
+ * Get opacity (0 = transparent, 1 = opaque) at UV coordinates, bilinearly interpolated
+ */
+function getAlphaAtUV(u_print, v_print_yup, pixels, anaW, anaH) {
+    const { u_source, v_source, outside } = printToSourceUV(u_print, v_print_yup);
+    if (outside) return appState.imageFill === "black" ? 1 : 0;
+    const xf = u_source * (anaW - 1);
+    const yf = v_source * (anaH - 1);
+    const x0 = Math.floor(xf);
+    const y0 = Math.floor(yf);
+    const x1 = Math.min(x0 + 1, anaW - 1);
+    const y1 = Math.min(y0 + 1, anaH - 1);
+    const tx = xf - x0;
+    const ty = yf - y0;
+    const a = (px, py) => pixels[(py * anaW + px) * 4 + 3];
+
+    const alpha = a(x0, y0) * (1 - tx) * (1 - ty) + a(x1, y0) * tx * (1 - ty) + a(x0, y1) * (1 - tx) * ty + a(x1, y1) * tx * ty;
+    return alpha / 255;
+}
+
+/**
+ * Whether any pixel of an RGBA buffer is not fully opaque
+ */
+function hasTransparency(pixels) {
+    for (let i = 3; i < pixels.length; i += 4) {
+        if (pixels[i] < 255) return true;
+    }
+    return false;
+}
+
+// ==================== IMAGE ADJUSTMENTS ====================
+
+const IMAGE_ADJUSTMENT_DEFAULTS = {
+    flattenAlpha: false,
+    brightness: 0,
+    contrast: 0,
+    levelsBlack: 0,
+    levelsWhite: 255,
+    equalize: false,
+    blur: 0,
+    sharpen: 0,
+    invert: false
+};
+
+/**
+ * Read the adjustment stack from the UI
+ */
+function readImageAdjustments() {
+    const levelsBlack = safeParseInt(getElement("adjLevelsBlack")?.value, 0, 0, 254);
+    return {
+        brightness: safeParseFloat(getElement("adjBrightness")?.value, 0, -100, 100),
+        contrast: safeParseFloat(getElement("adjContrast")?.value, 0, -100, 100),
+        levelsBlack,
+        levelsWhite: safeParseInt(getElement("adjLevelsWhite")?.value, 255, levelsBlack + 1, 255),
+        equalize: getElement("adjEqualize")?.checked ?? false,
+        blur: safeParseFloat(getElement("adjBlur")?.value, 0, 0, 20),
+        sharpen: safeParseFloat(getElement("adjSharpen")?.value, 0, 0, 5),
+        invert: getElement("adjInvert")?.checked ?? false
+    };
+}
+
+/**
+ * Gaussian blur approximated by three box blurs, applied in place to each channel array
+ */
+function blurChannels(channels, width, height, sigma) {
+    // Box sizes whose three passes match the Gaussian's variance
+    const ideal = Math.sqrt((12 * sigma * sigma) / 3 + 1);
+    let lower = Math.floor(ideal);
+    if (lower % 2 === 0) lower--;
+    const upper = lower + 2;
+    const lowerCount = Math.round((12 * sigma * sigma - 3 * lower * lower - 12 * lower - 9) / (-4 * lower - 4));
+    const radii = [0, 1, 2].map((k) => ((k < lowerCount ? lower : upper) - 1) / 2);
+
+    const tmp = new Float32Array(width * height);
+    // Running-sum box blur along one axis with clamped edges
+    const pass = (src, dst, r, count, lineCount, stride, lineStride) => {
+        const size = 2 * r + 1;
+        for (let line = 0; line < lineCount; line++) {
+            const base = line * lineStride;
+            const at = (k) => src[base + Math.max(0, Math.min(count - 1, k)) * stride];
+            let sum = 0;
+            for (let k = -r; k <= r; k++) sum += at(k);
+            for (let k = 0; k < count; k++) {
+                dst[base + k * stride] = sum / size;
+                sum += at(k + r + 1) - at(k - r);
+            }
+        }
+    };
+
+    for (const channel of channels) {
+        for (const r of radii) {
+            if (r < 1) continue;
+            pass(channel, tmp, r, width, height, 1, width);
+            pass(tmp, channel, r, height, width, width, 1);
+        }
+    }
+}
+
+/**
+ * Apply the adjustment stack to RGBA pixels and return a new array. Order: alpha over white,
+ * levels, brightness/contrast, histogram equalization, blur, unsharp mask, invert. Alpha is kept.
+ */
+function applyImageAdjustments(src, width, height, adj) {
+    const count = width * height;
+
+    // Levels, brightness and contrast as one lookup table
+    const contrast = adj.contrast * 2.55;
+    const contrastFactor = (259 * (contrast + 255)) / (255 * (259 - contrast));
+    const lut = new Float32Array(256);
+    for (let v = 0; v < 256; v++) {
+        let out = ((v - adj.levelsBlack) / (adj.levelsWhite - adj.levelsBlack)) * 255;
+        out += adj.brightness * 2.55;
+        out = (out - 128) * contrastFactor + 128;
+        lut[v] = Math.max(0, Math.min(255, out));
+    }
+
+    const channels = [0, 1, 2].map(() => new Float32Array(count));
+    for (let i = 0; i < count; i++) {
+        // Transparent pixels are composited over white paper first
+        const alpha = adj.flattenAlpha ? src[i * 4 + 3] / 255 : 1;
+        for (let c = 0; c < 3; c++) channels[c][i] = lut[Math.round(src[i * 4 + c] * alpha + 255 * (1 - alpha))];
+    }
+
+    if (adj.equalize) {
+        // Brightness histogram (RGB mean), remapped through its cumulative distribution
+        const histogram = new Uint32Array(256);
+        for (let i = 0; i < count; i++) {
+            histogram[Math.round((channels[0][i] + channels[1][i] + channels[2][i]) / 3)]++;
+        }
+        const cdf = new Float32Array(256);
+        let running = 0;
+        for (let v = 0; v < 256; v++) {
+            running += histogram[v];
+            cdf[v] = running;
+        }
+        const cdfMin = cdf.find((v) => v > 0) || 0;
+        const range = Math.max(1, count - cdfMin);
+        for (let i = 0; i < count; i++) {
+            const mean = (channels[0][i] + channels[1][i] + channels[2][i]) / 3;
+            const target = ((cdf[Math.round(mean)] - cdfMin) / range) * 255;
+            // Scale the colour so its brightness lands on the equalized value
+            const gain = mean > 0.5 ? target / mean : 0;
+            for (let c = 0; c < 3; c++) channels[c][i] = mean > 0.5 ? Math.min(255, channels[c][i] * gain) : target;
+        }
+    }
+
+    if (adj.blur > 0) blurChannels(channels, width, height, adj.blur);
+
+    if (adj.sharpen > 0) {
+        const blurred = channels.map((ch) => Float32Array.from(ch));
+        blurChannels(blurred, width, height, 2);
+        for (let c = 0; c < 3; c++) {
+            for (let i = 0; i < count; i++) {
+                channels[c][i] += adj.sharpen * (channels[c][i] - blurred[c][i]);
+            }
+        }
+    }
+
+    const out = new Uint8ClampedArray(count * 4);
+    for (let i = 0; i < count; i++) {
+        for (let c = 0; c < 3; c++) {
+            out[i * 4 + c] = adj.invert ? 255 - channels[c][i] : channels[c][i];
+        }
+        out[i * 4 + 3] = src[i * 4 + 3];
+    }
+    return out;
+}
+
+/**
+ * Pixels of the loaded image, read once through hiddenCanvas and cached
+ */
+function getSourcePixels() {
+    const anaW = appState.originalImage.width;
+    const anaH = appState.originalImage.height;
+    if (
+        appState.cachedPixels &&
+        appState.cachedDimensions?.width === anaW &&
+        appState.cachedDimensions?.height === anaH
+    ) {
+        return appState.cachedPixels;
+    }
+
+    hiddenCanvas.width = anaW;
+    hiddenCanvas.height = anaH;
+    ctx.drawImage(appState.originalImage, 0, 0, anaW, anaH);
+    appState.cachedPixels = ctx.getImageData(0, 0, anaW, anaH).data;
+    appState.cachedDimensions = { width: anaW, height: anaH };
+    appState.adjustedPixels = null;
+    appState.sourceHasAlpha = null;
+    return appState.cachedPixels;
+}
+
+/**
+ * Cached source pixels with the current adjustment stack applied (the source itself when
+ * every adjustment is neutral)
+ */
+function getAdjustedPixels() {
+    const pixels = getSourcePixels();
+    if (appState.sourceHasAlpha === null) appState.sourceHasAlpha = hasTransparency(pixels);
+    const adj = {
+        flattenAlpha: appState.sourceHasAlpha && (getElement("useAlphaMask")?.checked ?? true),
+        ...readImageAdjustments()
+    };
+    const key = JSON.stringify(adj);
+    if (key === JSON.stringify(IMAGE_ADJUSTMENT_DEFAULTS)) return pixels;
+
+    if (!appState.adjustedPixels || appState.adjustedKey !== key) {
+        appState.adjustedPixels = applyImageAdjustments(
+            pixels,
+            appState.cachedDimensions.width,
+            appState.cachedDimensions.height,
+            adj
+        );
+        appState.adjustedKey = key;
+        appState.adjustedPreviewCanvas = null;
+    }
+    return appState.adjustedPixels;
+}
+
+/**
+ * Image to draw in the preview: the original, or a canvas holding the adjusted pixels
+ */
+function getPreviewImageSource() {
+    if ((appState.svgArtwork && getElement("svgVectorMode")?.checked) || !ctx) return appState.originalImage;
+    const pixels = getAdjustedPixels();
+    if (pixels === appState.cachedPixels) return appState.originalImage;
+
+    if (!appState.adjustedPreviewCanvas) {
+        const { width, height } = appState.cachedDimensions;
+        const canvas = document.createElement("canvas");
+        canvas.width = width;
+        canvas.height = height;
+        const canvasCtx = canvas.getContext("2d");
+        const imageData = canvasCtx.createImageData(width, height);
+        imageData.data.set(pixels);
+        canvasCtx.putImageData(imageData, 0, 0);
+        appState.adjustedPreviewCanvas = canvas;
+    }
+    return appState.adjustedPreviewCanvas;
+}
+
+// ==================== TONE CURVES ====================
+
+const TONE_CURVE_PRESETS = {
+    linear: [
+        { x: 0, y: 0 },
+        { x: 1, y: 1 }
+    ],
+    gamma: DEFAULT_TONE_CURVE,
+    liftShadows: [
+        { x: 0, y: 0 },
+        { x: 0.2, y: 0.35 },
+        { x: 0.6, y: 0.72 },
+        { x: 1, y: 1 }
+    ],
+    sCurve: [
+        { x: 0, y: 0 },
+        { x: 0.25, y: 0.18 },
+        { x: 0.75, y: 0.82 },
+        { x: 1, y: 1 }
+    ]
+};
+
+/**
+ * Monotone cubic (Fritsch–Carlson) interpolation through control points sorted by x,
+ * sampled into a 256-entry lookup table. Returns a brightness → brightness function.
+ */
+function createToneCurve(points) {
+    const n = points.length;
+    const lut = new Float32Array(256);
+    if (n < 2) {
+        for (let i = 0; i < 256; i++) lut[i] = i / 255;
+    } else {
+        const slopes = [];
+        for (let k = 0; k < n - 1; k++) {
+            slopes.push((points[k + 1].y - points[k].y) / Math.max(1e-6, points[k + 1].x - points[k].x));
+        }
+        const tangents = points.map((p, k) => {
+            if (k === 0) return slopes[0];
+            if (k === n - 1) return slopes[n - 2];
+            return slopes[k - 1] * slopes[k] <= 0 ? 0 : (slopes[k - 1] + slopes[k]) / 2;
+        });
+        // Limit tangents so no segment overshoots
+        for (let k = 0; k < n - 1; k++) {
+            if (slopes[k] === 0) {
+                tangents[k] = 0;
+                tangents[k + 1] = 0;
+                continue;
+            }
+            const a = tangents[k] / slopes[k];
+            const b = tangents[k + 1] / slopes[k];
+            const h = Math.hypot(a, b);
+            if (h > 3) {
+                tangents[k] = (3 * a * slopes[k]) / h;
+                tangents[k + 1] = (3 * b * slopes[k]) / h;
+            }
+        }
+
+        let k = 0;
+        for (let i = 0; i < 256; i++) {
+            const x = i / 255;
+            while (k < n - 2 && x > points[k + 1].x) k++;
+            const p0 = points[k];
+            const p1 = points[k + 1];
+            const h = Math.max(1e-6, p1.x - p0.x);
+            const t = Math.max(0, Math.min(1, (x - p0.x) / h));
+            const t2 = t * t;
+            const t3 = t2 * t;
+            const y =
+                (2 * t3 - 3 * t2 + 1) * p0.y +
+                (t3 - 2 * t2 + t) * h * tangents[k] +
+                (-2 * t3 + 3 * t2) * p1.y +
+                (t3 - t2) * h * tangents[k + 1];
+            lut[i] = Math.max(0, Math.min(1, y));
+        }
+    }
+
+    return (value) => {
+        const f = Math.max(0, Math.min(1, value)) * 255;
+        const i = Math.min(254, Math.floor(f));
+        return lut[i] + (lut[i + 1] - lut[i]) * (f - i);
+    };
+}
+
+/**
+ * 64-bin brightness histogram of RGBA pixels (sampled for speed on large images)
+ */
+function computeBrightnessHistogram(pixels, luminance) {
+    const bins = new Uint32Array(64);
+    const count = pixels.length / 4;
+    const stride = Math.max(1, Math.floor(count / 200000));
+    for (let i = 0; i < count; i += stride) {
+        bins[Math.max(0, Math.min(63, Math.floor(luminance(pixels, i * 4) / 4)))]++;
+    }
+    return bins;
+}
+
+/**
+ * Control points of the tone curve used for one modulation target ("width" or "speed")
+ */
+function getToneCurvePoints(target) {
+    if (target === "speed" && (getElement("toneCurveLinked")?.checked ?? true)) {
+        return appState.toneCurves.width;
+    }
+    return appState.toneCurves[target];
+}
+
+/**
+ * Draw the tone curve editor: histogram of the (adjusted) image, grid, curve and control points
+ */
+function drawToneCurveEditor() {
+    const canvas = getElement("toneCurveCanvas");
+    const editCtx = canvas?.getContext("2d");
+    if (!editCtx) return;
+
+    const size = canvas.width;
+    editCtx.setTransform(1, 0, 0, 1, 0, 0);
+    editCtx.clearRect(0, 0, size, size);
+    editCtx.fillStyle = "#ffffff";
+    editCtx.fillRect(0, 0, size, size);
+
+    const vectorArtwork = appState.svgArtwork && getElement("svgVectorMode")?.checked;
+    if (appState.originalImage && !vectorArtwork && ctx) {
+        const pixels = getAdjustedPixels();
+        const histogramKey = ["luminanceModel", "lumaColor", "lumaTolerance"].map((id) => getElement(id)?.value).join("|");
+        if (appState.toneHistogramSource !== pixels || appState.toneHistogramKey !== histogramKey) {
+            appState.toneHistogram = computeBrightnessHistogram(pixels, readLuminanceModel());
+            appState.toneHistogramSource = pixels;
+            appState.toneHistogramKey = histogramKey;
+        }
+        const bins = appState.toneHistogram;
+        const peak = Math.max(1, ...bins);
+        const binWidth = size / bins.length;
+        editCtx.fillStyle = "rgba(148, 163, 184, 0.45)";
+        bins.forEach((value, i) => {
+            const h = (Math.sqrt(value) / Math.sqrt(peak)) * size;
+            editCtx.fillRect(i * binWidth, size - h, binWidth, h);
+        });
+    }
+
+    editCtx.strokeStyle = "#e2e8f0";
+    editCtx.lineWidth = 1;
+    for (let k = 1; k < 4; k++) {
+        editCtx.beginPath();
+        editCtx.moveTo((k * size) / 4, 0);
+        editCtx.lineTo((k * size) / 4, size);
+        editCtx.moveTo(0, (k * size) / 4);
+        editCtx.lineTo(size, (k * size) / 4);
+        editCtx.stroke();
+    }
+    editCtx.setLineDash([3, 3]);
+    editCtx.beginPath();
+    editCtx.moveTo(0, size);
+    editCtx.lineTo(size, 0);
+    editCtx.stroke();
+    editCtx.setLineDash([]);
+
+    const target = getElement("toneCurveTarget")?.value || "width";
+    const points = getToneCurvePoints(target);
+    const curve = createToneCurve(points);
+    editCtx.strokeStyle = target === "speed" ? "#059669" : "#2563eb";
+    editCtx.lineWidth = 2;
+    editCtx.beginPath();
+    for (let i = 0; i <= size; i++) {
+        const y = size - curve(i / size) * size;
+        if (i === 0) editCtx.moveTo(i, y);
+        else editCtx.lineTo(i, y);
+    }
+    editCtx.stroke();
+
+    editCtx.fillStyle = "#ffffff";
+    for (const p of points) {
+        editCtx.beginPath();
+        editCtx.arc(p.x * size, size - p.y * size, 4, 0, TWO_PI);
+        editCtx.fill();
+        editCtx.stroke();
+    }
+}
+
+/**
+ * Tone curve editor interactions: drag points, click to add, double-click to remove.
+ * The end points only move vertically.
+ */
+function setupToneCurveEditor() {
+    const canvas = getElement("toneCurveCanvas");
+    if (!canvas) return;
+
+    let dragIndex = -1;
+    const editablePoints = () => {
+        const target = getElement("toneCurveTarget")?.value || "width";
+        return getToneCurvePoints(target);
+    };
+    const toCurve = (e) => {
+        const rect = canvas.getBoundingClientRect();
+        return {
+            x: Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width)),
+            y: Math.max(0, Math.min(1, 1 - (e.clientY - rect.top) / rect.height))
+        };
+    };
+    const nearestPoint = (points, p) => {
+        let best = -1;
+        let bestDist = 0.05;
+        points.forEach((q, i) => {
+            const d = Math.hypot(q.x - p.x, q.y - p.y);
+            if (d < bestDist) {
+                bestDist = d;
+                best = i;
+            }
+        });
+        return best;
+    };
+
+    canvas.addEventListener("mousedown", (e) => {
+        const points = editablePoints();
+        const p = toCurve(e);
+        dragIndex = nearestPoint(points, p);
+        if (dragIndex < 0) {
+            points.push(p);
+            points.sort((a, b) => a.x - b.x);
+            dragIndex = points.indexOf(p);
+        }
+        drawToneCurveEditor();
+    });
+
+    canvas.addEventListener("mousemove", (e) => {
+        if (dragIndex < 0) return;
+        const points = editablePoints();
+        const p = toCurve(e);
+        const point = points[dragIndex];
+        point.y = p.y;
+        if (dragIndex > 0 && dragIndex < points.length - 1) {
+            // Keep x strictly between the neighbours so the curve stays a function
+            point.x = Math.max(points[dragIndex - 1].x + 0.01, Math.min(points[dragIndex + 1].x - 0.01, p.x));
+        }
+        drawToneCurveEditor();
+    });
+
+    document.addEventListener("mouseup", () => {
+        dragIndex = -1;
+    });
+
+    canvas.addEventListener("dblclick", (e) => {
+        const points = editablePoints();
+        const index = nearestPoint(points, toCurve(e));
+        if (index > 0 && index < points.length - 1) {
+            points.splice(index, 1);
+            drawToneCurveEditor();
+        }
+    });
+
+    getElement("toneCurveTarget")?.addEventListener("change", drawToneCurveEditor);
+    getElement("toneCurveLinked")?.addEventListener("change", (e) => {
+        // Unlinking starts the speed curve from the current width curve
+        if (!e.target.checked) {
+            appState.toneCurves.speed = appState.toneCurves.width.map((p) => ({ ...p }));
+        }
+        drawToneCurveEditor();
+    });
+    getElement("toneCurvePreset")?.addEventListener("change", (e) => {
+        const preset = TONE_CURVE_PRESETS[e.target.value];
+        if (!preset) return;
+        const target = getElement("toneCurveLinked")?.checked ? "width" : getElement("toneCurveTarget")?.value || "width";
+        appState.toneCurves[target] = preset.map((p) => ({ ...p }));
+        e.target.value = "";
+        drawToneCurveEditor();
+    });
+
+    drawToneCurveEditor();
+}
+
+// ==================== PAINT MASK ====================
+
+// Paint mask cell values
+const PAINT_MASK = { none: 0, exclude: 1, forceDark: 2, altParams: 3 };
+// Overlay colours (RGBA) per mask value
+const PAINT_MASK_COLORS = {
+    [PAINT_MASK.exclude]: [239, 68, 68, 110],
+    [PAINT_MASK.forceDark]: [30, 41, 59, 130],
+    [PAINT_MASK.altParams]: [16, 185, 129, 110]
+};
+
+/**
+ * The paint mask of the loaded image, created on first use. It lives in source image UV space
+ * (at most 512 cells on the long side), so it follows pan, zoom and mirroring.
+ */
+function ensurePaintMask() {
+    if (!appState.paintMask && appState.originalImage) {
+        const { width, height } = appState.originalImage;
+        const scale = Math.min(1, 512 / Math.max(width, height, 1));
+        const cols = Math.max(1, Math.round(width * scale));
+        const rows = Math.max(1, Math.round(height * scale));
+        appState.paintMask = { cols, rows, data: new Uint8Array(cols * rows), painted: false };
+    }
+    return appState.paintMask;
+}
+
+/**
+ * Mask value at print UV (v up), or PAINT_MASK.none when nothing is painted
+ */
+function samplePaintMask(u_print, v_print_yup) {
+    const mask = appState.paintMask;
+    if (!mask || !mask.painted) return PAINT_MASK.none;
+    const { u_source, v_source, outside } = printToSourceUV(u_print, v_print_yup);
+    if (outside) return PAINT_MASK.none;
+    const i = Math.min(mask.cols - 1, Math.floor(u_source * mask.cols));
+    const j = Math.min(mask.rows - 1, Math.floor(v_source * mask.rows));
+    return mask.data[j * mask.cols + i];
+}
+
+/**
+ * Source image UV under a preview mouse event, or null outside the print area
+ */
+function previewEventToSourceUV(e) {
+    const { printWidth, printHeight, offsetX, offsetY, originAtCenter, bedWidth, bedHeight } = getPrintParams();
+    const rect = previewCanvas.getBoundingClientRect();
+    const dispOX = originAtCenter ? bedWidth / 2 : 0;
+    const dispOY = originAtCenter ? bedHeight / 2 : 0;
+    const mouseX_mm = ((e.clientX - rect.left) / rect.width) * (previewCanvas.width / PREVIEW_SCALE) - dispOX;
+    const mouseY_mm = (1 - (e.clientY - rect.top) / rect.height) * (previewCanvas.height / PREVIEW_SCALE) - dispOY;
+
+    let u = (mouseX_mm - offsetX) / printWidth;
+    const v = (mouseY_mm - offsetY) / printHeight;
+    if (u < 0 || u > 1 || v < 0 || v > 1) return null;
+    if (getElement("mirrorimage")?.checked) u = 1 - u;
+    return printToSourceUV(u, v);
+}
+
+/**
+ * Paint a brush dab (diameter in print mm) into the mask under a preview mouse event
+ */
+function paintMaskAt(e) {
+    const uv = previewEventToSourceUV(e);
+    const mask = ensurePaintMask();
+    if (!uv || uv.outside || !mask) return;
+
+    const { printWidth, printHeight } = getPrintParams();
+    const brushValue = PAINT_MASK[getElement("paintMaskBrush")?.value] ?? PAINT_MASK.none;
+    const radiusMM = safeParseFloat(getElement("paintMaskSize")?.value, 5, 0.5, 100) / 2;
+    // Brush radius in mask cells along each axis
+    const radiusX = (radiusMM / printWidth / appState.imageZoom) * mask.cols;
+    const radiusY = (radiusMM / printHeight / appState.imageZoom) * mask.rows;
+    const cx = uv.u_source * mask.cols;
+    const cy = uv.v_source * mask.rows;
+
+    for (let j = Math.max(0, Math.floor(cy - radiusY)); j <= Math.min(mask.rows - 1, Math.ceil(cy + radiusY)); j++) {
+        for (let i = Math.max(0, Math.floor(cx - radiusX)); i <= Math.min(mask.cols - 1, Math.ceil(cx + radiusX)); i++) {
+            const dx = (i + 0.5 - cx) / Math.max(0.5, radiusX);
+            const dy = (j + 0.5 - cy) / Math.max(0.5, radiusY);
+            if (dx * dx + dy * dy <= 1) mask.data[j * mask.cols + i] = brushValue;
+        }
+    }
+    mask.painted = mask.data.some((value) => value !== PAINT_MASK.none);
+    appState.paintMaskCanvas = null;
+
+    const { bedWidth, bedHeight, originAtCenter, offsetX, offsetY } = getPrintParams();
+    drawImageSlicePreview(bedWidth, bedHeight, originAtCenter, offsetX, offsetY, printWidth, printHeight);
+}
+
+/**
+ * Canvas with the coloured mask overlay, or null when nothing is painted
+ */
+function getPaintMaskCanvas() {
+    const mask = appState.paintMask;
+    if (!mask || !mask.painted) return null;
+
+    if (!appState.paintMaskCanvas) {
+        const canvas = document.createElement("canvas");
+        canvas.width = mask.cols;
+        canvas.height = mask.rows;
+        const canvasCtx = canvas.getContext("2d");
+        const imageData = canvasCtx.createImageData(mask.cols, mask.rows);
+        mask.data.forEach((value, k) => {
+            const color = PAINT_MASK_COLORS[value];
+            if (color) imageData.data.set(color, k * 4);
+        });
+        canvasCtx.putImageData(imageData, 0, 0);
+        appState.paintMaskCanvas = canvas;
+    }
+    return appState.paintMaskCanvas;
+}
+
 // ==================== IMAGE MANIPULATION HANDLERS ====================
 
+/**
+ * Bed and print-area parameters used by the image preview
+ */
+function getPrintParams() {
+    const bedWidth = safeParseFloat(getElement("bedWidth")?.value, 250, 50, 1000);
+    const bedHeight = safeParseFloat(getElement("bedHeight")?.value, 250, 50, 1000);
+    const originAtCenter = getElement("originAtCenter")?.checked ?? false;
+    const printWidth = safeParseFloat(printWidthInput?.value, 100, 1, bedWidth);
+    const printHeight = safeParseFloat(printHeightInput?.value, 100, 1, bedHeight);
+    const offsetX = originAtCenter ? -printWidth / 2 : (bedWidth - printWidth) / 2;
+    const offsetY = originAtCenter ? -printHeight / 2 : (bedHeight - printHeight) / 2;
+    return { bedWidth, bedHeight, originAtCenter, printWidth, printHeight, offsetX, offsetY };
+}
+
+/**
+ * Set the luminance reference colour from the image pixel under a preview click
+ */
+function pickLumaColorAt(e) {
+    appState.pickingColor = false;
+    previewCanvas.style.cursor = "";
+
+    const uv = previewEventToSourceUV(e);
+    if (!uv || uv.outside) return;
+
+    const pixels = getAdjustedPixels();
+    const { width, height } = appState.cachedDimensions;
+    const idx = (Math.round(uv.v_source * (height - 1)) * width + Math.round(uv.u_source * (width - 1))) * 4;
+    const hex = [pixels[idx], pixels[idx + 1], pixels[idx + 2]].map((c) => c.toString(16).padStart(2, "0")).join("");
+
+    const colorInput = getElement("lumaColor");
+    if (colorInput) {
+        colorInput.value = `#${hex}`;
+        colorInput.dispatchEvent(new Event("input"));
+    }
+}
+
 /**
  * Setup pan and zoom handlers for preview canvas
  */
 function setupImageManipulationHandlers() {
     if (!previewCanvas) return;
 
-    const getPrintParams = () => {
-        const bedWidth = safeParseFloat(getElement("bedWidth")?.value, 250, 50, 1000);
-        const bedHeight = safeParseFloat(getElement("bedHeight")?.value, 250, 50, 1000);
-        const originAtCenter = getElement("originAtCenter")?.checked ?? false;
-        const printWidth = safeParseFloat(printWidthInput?.value, 100, 1, bedWidth);
-        const printHeight = safeParseFloat(printHeightInput?.value, 100, 1, bedHeight);
-        const offsetX = originAtCenter ? -printWidth / 2 : (bedWidth - printWidth) / 2;
-        const offsetY = originAtCenter ? -printHeight / 2 : (bedHeight - printHeight) / 2;
-        return { bedWidth, bedHeight, originAtCenter, printWidth, printHeight, offsetX, offsetY };
-    };
-
     previewCanvas.addEventListener("mousedown", (e) => {
         if (!appState.originalImage) return;
+        if (appState.pickingColor) {
+            pickLumaColorAt(e);
+            return;
+        }
+        if (getElement("paintMaskEnabled")?.checked) {
+            appState.isPainting = true;
+            paintMaskAt(e);
+            return;
+        }
         appState.isDragging = true;
         appState.lastMouseX = e.clientX;
         appState.lastMouseY = e.clientY;
@@ -452,12 +2940,17 @@ function setupImageManipulationHandlers() {
 
     document.addEventListener("mouseup", () => {
         appState.isDragging = false;
+        appState.isPainting = false;
         if (previewCanvas) {
-            previewCanvas.style.cursor = "grab";
+            previewCanvas.style.cursor = getElement("paintMaskEnabled")?.checked ? "crosshair" : "grab";
         }
     });
 
     previewCanvas.addEventListener("mousemove", (e) => {
+        if (appState.isPainting && appState.originalImage) {
+            paintMaskAt(e);
+            return;
+        }
         if (!appState.isDragging || !appState.originalImage) return;
 
         const { bedWidth, bedHeight, originAtCenter, printWidth, printHeight, offsetX, offsetY } = getPrintParams();
@@ -470,15 +2963,16 @@ function setupImageManipulationHandlers() {
         const areaWidthOnScreen = printWidth * PREVIEW_SCALE;
         const areaHeightOnScreen = printHeight * PREVIEW_SCALE;
 
-        const uvDeltaX = dx / areaWidthOnScreen;
-        const uvDeltaY = dy / areaHeightOnScreen;
+        // Screen drag in print UV (v down), taken through the mirror, rotation and flips
+        const mirrorSign = getElement("mirrorimage")?.checked ? -1 : 1;
+        const from = printToViewUV(0.5, 0.5);
+        const to = printToViewUV(0.5 + (mirrorSign * dx) / areaWidthOnScreen, 0.5 + dy / areaHeightOnScreen);
 
-        appState.imageOffsetX -= uvDeltaX / appState.imageZoom;
-        appState.imageOffsetY += uvDeltaY / appState.imageZoom;
+        appState.imageOffsetX -= (to.u_view - from.u_view) / appState.imageZoom;
+        appState.imageOffsetY -= (to.v_view - from.v_view) / appState.imageZoom;
 
-        const maxOffset = 1 - 1 / appState.imageZoom;
-        appState.imageOffsetX = Math.max(0, Math.min(maxOffset, appState.imageOffsetX));
-        appState.imageOffsetY = Math.max(0, Math.min(maxOffset, appState.imageOffsetY));
+        appState.imageOffsetX = clampImageOffset(appState.imageOffsetX);
+        appState.imageOffsetY = clampImageOffset(appState.imageOffsetY);
 
         drawImageSlicePreview(bedWidth, bedHeight, originAtCenter, offsetX, offsetY, printWidth, printHeight);
     });
@@ -501,25 +2995,19 @@ function setupImageManipulationHandlers() {
             const u_clamped = Math.max(0, Math.min(1, u_print));
             const v_clamped = Math.max(0, Math.min(1, v_print));
 
-            const v_print_ydown = 1.0 - v_clamped;
+            // Keep the image point under the cursor fixed
+            const { u_view, v_view } = printToViewUV(u_clamped, 1.0 - v_clamped);
 
-            const u_source_old = u_clamped / appState.imageZoom + appState.imageOffsetX;
-            const v_source_old = v_print_ydown / appState.imageZoom + appState.imageOffsetY;
+            const u_source_old = u_view / appState.imageZoom + appState.imageOffsetX;
+            const v_source_old = v_view / appState.imageZoom + appState.imageOffsetY;
 
             const zoomDelta = e.deltaY < 0 ? ZOOM_FACTOR : 1 / ZOOM_FACTOR;
             let newZoom = appState.imageZoom * zoomDelta;
 
             appState.imageZoom = Math.max(ZOOM_MIN, Math.min(ZOOM_MAX, newZoom));
 
-            let newOffsetX = u_source_old - u_clamped / appState.imageZoom;
-            let newOffsetY = v_source_old - v_print_ydown / appState.imageZoom;
-
-            const maxOffset = 1 - 1 / appState.imageZoom;
-            newOffsetX = Math.max(0, Math.min(maxOffset, newOffsetX));
-            newOffsetY = Math.max(0, Math.min(maxOffset, newOffsetY));
-
-            appState.imageOffsetX = newOffsetX;
-            appState.imageOffsetY = newOffsetY;
+            appState.imageOffsetX = clampImageOffset(u_source_old - u_view / appState.imageZoom);
+            appState.imageOffsetY = clampImageOffset(v_source_old - v_view / appState.imageZoom);
 
             drawImageSlicePreview(bedWidth, bedHeight, originAtCenter, offsetX, offsetY, printWidth, printHeight);
         },
@@ -541,8 +3029,10 @@ if (imageInput) {
             return;
         }
 
+        const isSvg = file.type === "image/svg+xml" || /\.svg$/i.test(file.name);
+
         // Validate file type
-        if (!file.type.startsWith("image/")) {
+        if (!file.type.startsWith("image/") && !isSvg) {
             showErrorMessage("Please select a valid image file");
             e.target.value = "";
             return;
@@ -554,11 +3044,34 @@ if (imageInput) {
             // Cleanup old image
             cleanup();
 
+            // SVGs keep their vector geometry; the rendered image is only used for the preview
+            let imageSrc = event.target.result;
+            if (isSvg) {
+                try {
+                    appState.svgArtwork = parseSvgArtwork(event.target.result);
+                } catch (error) {
+                    console.error("SVG parsing error:", error);
+                    showErrorMessage("Could not read the SVG file. It may be malformed.");
+                    e.target.value = "";
+                    return;
+                }
+                if (appState.svgArtwork.shapes.length === 0) {
+                    showErrorMessage("The SVG has no visible paths or shapes to print");
+                    appState.svgArtwork = null;
+                }
+                imageSrc = "data:image/svg+xml;charset=utf-8," + encodeURIComponent(event.target.result);
+            }
+            const svgVectorOptions = getElement("svgVectorOptions");
+            if (svgVectorOptions) svgVectorOptions.style.display = appState.svgArtwork ? "flex" : "none";
+
             appState.originalImage = new Image();
 
             appState.originalImage.onload = function () {
                 try {
-                    appState.originalImageRatio = appState.originalImage.width / appState.originalImage.height;
+                    const viewBox = appState.svgArtwork?.viewBox;
+                    appState.originalImageRatio = viewBox
+                        ? viewBox.width / viewBox.height
+                        : appState.originalImage.width / appState.originalImage.height;
 
                     const imageRatioInfo = getElement("imageRatioInfo");
                     if (imageRatioInfo) {
@@ -589,6 +3102,7 @@ if (imageInput) {
                         const offsetY = originAtCenter ? -printHeight / 2 : (bedHeight - printHeight) / 2;
                         drawImageSlicePreview(bedWidth, bedHeight, originAtCenter, offsetX, offsetY, printWidth, printHeight);
                     }
+                    drawToneCurveEditor();
                 } catch (error) {
                     console.error("Error processing image:", error);
                     showErrorMessage("Error loading image. Please try another file.");
@@ -601,7 +3115,7 @@ if (imageInput) {
                 e.target.value = "";
             };
 
-            appState.originalImage.src = event.target.result;
+            appState.originalImage.src = imageSrc;
         };
 
         reader.onerror = function (error) {
@@ -610,7 +3124,11 @@ if (imageInput) {
             e.target.value = "";
         };
 
-        reader.readAsDataURL(file);
+        if (isSvg) {
+            reader.readAsText(file);
+        } else {
+            reader.readAsDataURL(file);
+        }
     });
 }
 
@@ -660,6 +3178,19 @@ if (filamentChangeMode) {
     });
 }
 
+// Firmware flavor: preset its extrusion mode and firmware retraction, still adjustable after
+const firmwareFlavor = getElement("firmwareFlavor");
+if (firmwareFlavor) {
+    firmwareFlavor.addEventListener("change", function (e) {
+        const flavor = FIRMWARE_FLAVORS[e.target.value];
+        if (!flavor) return;
+        const extrusionMode = getElement("extrusionMode");
+        if (extrusionMode) extrusionMode.value = flavor.extrusionMode;
+        const firmwareRetraction = getElement("firmwareRetraction");
+        if (firmwareRetraction) firmwareRetraction.checked = flavor.firmwareRetraction;
+    });
+}
+
 // G-code template upload
 const gcodeTemplate = getElement("gcodeTemplate");
 if (gcodeTemplate) {
@@ -694,6 +3225,47 @@ if (gcodeTemplate) {
 
 // ==================== BASE GENERATION FUNCTIONS ====================
 
+// Base settings, defaulting to the values the generators used before they were configurable
+const BASE_SETTING_DEFAULTS = {
+    numWalls: 3,
+    wallSpacing: 0.42,
+    lineWidth: 0.5,
+    infillSpacing: 0.45,
+    retract: 0.8,
+    retractPrime: 0.1,
+    slowStartFraction: 0.1,
+    slowStartSpeed: 0.5,
+    firstLayerFlow: 1.0,
+    alternateInfill: false,
+    infillPattern: "lines",
+    ironing: false,
+    ironingFlow: 0.15,
+    ironingSpacing: 0.15
+};
+
+/**
+ * Read the base settings from the Base section
+ */
+function readBaseSettings() {
+    const d = BASE_SETTING_DEFAULTS;
+    return {
+        numWalls: safeParseInt(getElement("baseWalls")?.value, d.numWalls, 0, 20),
+        wallSpacing: safeParseFloat(getElement("baseWallSpacing")?.value, d.wallSpacing, 0.1, 2),
+        lineWidth: safeParseFloat(getElement("baseLineWidth")?.value, d.lineWidth, 0.1, 2),
+        infillSpacing: safeParseFloat(getElement("baseInfillSpacing")?.value, d.infillSpacing, 0.1, 5),
+        retract: safeParseFloat(getElement("baseRetract")?.value, d.retract, 0, 10),
+        retractPrime: safeParseFloat(getElement("baseRetractPrime")?.value, d.retractPrime, -1, 2),
+        slowStartFraction: safeParseFloat(getElement("baseSlowStart")?.value, d.slowStartFraction * 100, 0, 100) / 100,
+        slowStartSpeed: safeParseFloat(getElement("baseSlowStartSpeed")?.value, d.slowStartSpeed * 100, 10, 100) / 100,
+        firstLayerFlow: safeParseFloat(getElement("baseFirstLayerFlow")?.value, d.firstLayerFlow * 100, 50, 200) / 100,
+        alternateInfill: getElement("baseAlternateInfill")?.checked ?? d.alternateInfill,
+        infillPattern: getElement("baseInfillPattern")?.value || d.infillPattern,
+        ironing: getElement("baseIroning")?.checked ?? d.ironing,
+        ironingFlow: safeParseFloat(getElement("baseIroningFlow")?.value, d.ironingFlow * 100, 1, 100) / 100,
+        ironingSpacing: safeParseFloat(getElement("baseIroningSpacing")?.value, d.ironingSpacing, 0.05, 1)
+    };
+}
+
 /**
  * Generate circular base (for spiral path)
  */
@@ -701,18 +3273,27 @@ function generateCircularBase(params) {
     const { gcode, baseLayers, zOffset, layerHeight, baseRadius, baseMargin, centerX, centerY, baseSpeed, filArea } =
         params;
 
-    const baseOverlap = 0.45;
-    const wallSpacing = 0.42;
-    const numWalls = 3;
-    const BASE_LINE_WIDTH = 0.5;
+    const {
+        numWalls,
+        wallSpacing,
+        lineWidth,
+        infillSpacing,
+        retract,
+        retractPrime,
+        slowStartFraction,
+        slowStartSpeed,
+        firstLayerFlow,
+        alternateInfill
+    } = params.baseSettings;
 
     let prevX = params.prevX;
     let prevY = params.prevY;
+    let flow = 1;
 
     function writeBaseSegment(x, y, customSpeed = baseSpeed) {
         const dist = Math.hypot(x - prevX, y - prevY);
         if (dist < 0.01) return;
-        const vol = dist * BASE_LINE_WIDTH * layerHeight;
+        const vol = dist * lineWidth * layerHeight * flow;
         const e = vol / filArea;
         gcode.push(`G1 X${x.toFixed(3)} Y${y.toFixed(3)} E${e.toFixed(5)} F${customSpeed.toFixed(0)}`);
         params.totalE += e;
@@ -725,6 +3306,7 @@ function generateCircularBase(params) {
     for (let layer = 0; layer < baseLayers; layer++) {
         const z = zOffset + layer * layerHeight;
         gcode.push(`G1 Z${z.toFixed(3)} F1000 ; Base layer ${layer + 1}/${baseLayers}`);
+        flow = layer === 0 ? firstLayerFlow : 1;
 
         // Circular walls
         for (let w = 0; w < numWalls; w++) {
@@ -746,41 +3328,36 @@ function generateCircularBase(params) {
             }
         }
 
-        gcode.push(`G1 E-0.8 F3000`);
+        gcode.push(`G1 E-${retract.toFixed(3)} F3000`);
         gcode.push(`G0 Z${(z + 0.4).toFixed(3)} F6000`);
 
-        // Circular infill
+        // Circular infill in (along, across) line coordinates; odd layers run vertically when alternating
         let goingRight = true;
         const fillLimitRadius = baseRadius - numWalls * wallSpacing;
         const infillTotalHeight = fillLimitRadius * 2;
+        const vertical = alternateInfill && layer % 2 === 1;
+        const at = (along, across) => (vertical ? [centerX + across, centerY + along] : [centerX + along, centerY + across]);
 
         // Move to fill start, lower Z and recover retract once
-        const firstY = centerY - fillLimitRadius;
-        const firstXLimit = 0; // at the very edge xLimit ≈ 0
-        gcode.push(`G0 X${(centerX).toFixed(3)} Y${firstY.toFixed(3)} F6000`);
+        const [firstX, firstY] = at(0, -fillLimitRadius);
+        gcode.push(`G0 X${firstX.toFixed(3)} Y${firstY.toFixed(3)} F6000`);
         gcode.push(`G1 Z${z.toFixed(3)} F1000`);
-        gcode.push(`G1 E0.9 F3000`);
-        prevX = centerX;
+        gcode.push(`G1 E${(retract + retractPrime).toFixed(3)} F3000`);
+        prevX = firstX;
         prevY = firstY;
 
-        for (let yRel = -fillLimitRadius; yRel <= fillLimitRadius; yRel += baseOverlap) {
+        for (let yRel = -fillLimitRadius; yRel <= fillLimitRadius; yRel += infillSpacing) {
             const xLimit = Math.sqrt(Math.max(0, Math.pow(fillLimitRadius, 2) - Math.pow(yRel, 2)));
-            const xLeft = centerX - xLimit;
-            const xRight = centerX + xLimit;
-            const currentY = centerY + yRel;
 
             let currentSpeed = baseSpeed;
-            if (yRel < -fillLimitRadius + infillTotalHeight * 0.1) {
-                currentSpeed = baseSpeed * 0.5;
+            if (yRel < -fillLimitRadius + infillTotalHeight * slowStartFraction) {
+                currentSpeed = baseSpeed * slowStartSpeed;
             }
 
-            if (goingRight) {
-                writeBaseSegment(xLeft, currentY, currentSpeed);
-                writeBaseSegment(xRight, currentY, currentSpeed);
-            } else {
-                writeBaseSegment(xRight, currentY, currentSpeed);
-                writeBaseSegment(xLeft, currentY, currentSpeed);
-            }
+            const [startX, startY] = at(goingRight ? -xLimit : xLimit, yRel);
+            const [endX, endY] = at(goingRight ? xLimit : -xLimit, yRel);
+            writeBaseSegment(startX, startY, currentSpeed);
+            writeBaseSegment(endX, endY, currentSpeed);
             goingRight = !goingRight;
         }
         gcode.push(`G0 Z${(z + 0.5).toFixed(3)} F6000`);
@@ -798,18 +3375,27 @@ function generateCircularBase(params) {
 function generateSquareBase(params) {
     const { gcode, baseLayers, zOffset, layerHeight, printDim, baseMargin, centerOffset, baseSpeed, filArea } = params;
 
-    const baseOverlap = 0.45;
-    const wallSpacing = 0.42;
-    const numWalls = 3;
-    const BASE_LINE_WIDTH = 0.5;
+    const {
+        numWalls,
+        wallSpacing,
+        lineWidth,
+        infillSpacing,
+        retract,
+        retractPrime,
+        slowStartFraction,
+        slowStartSpeed,
+        firstLayerFlow,
+        alternateInfill
+    } = params.baseSettings;
 
     let prevX = params.prevX;
     let prevY = params.prevY;
+    let flow = 1;
 
     function writeBaseSegment(x, y, customSpeed = baseSpeed) {
         const dist = Math.hypot(x - prevX, y - prevY);
         if (dist < 0.01) return;
-        const vol = dist * BASE_LINE_WIDTH * layerHeight;
+        const vol = dist * lineWidth * layerHeight * flow;
         const e = vol / filArea;
         gcode.push(`G1 X${x.toFixed(3)} Y${y.toFixed(3)} E${e.toFixed(5)} F${customSpeed.toFixed(0)}`);
         params.totalE += e;
@@ -822,6 +3408,7 @@ function generateSquareBase(params) {
     for (let layer = 0; layer < baseLayers; layer++) {
         const z = zOffset + layer * layerHeight;
         gcode.push(`G1 Z${z.toFixed(3)} F1000 ; Base layer ${layer + 1}/${baseLayers}`);
+        flow = layer === 0 ? firstLayerFlow : 1;
 
         // Square walls
         for (let w = 0; w < numWalls; w++) {
@@ -864,7 +3451,7 @@ function generateSquareBase(params) {
         }
 
         // Retract and lift before infill
-        gcode.push(`G1 E-0.8 F3000`);
+        gcode.push(`G1 E-${retract.toFixed(3)} F3000`);
         gcode.push(`G0 Z${(z + 0.4).toFixed(3)} F6000`);
 
         // Rectangular infill
@@ -873,29 +3460,36 @@ function generateSquareBase(params) {
         const fillY0 = centerOffset.y + innerMargin;
         const fillX1 = centerOffset.x + printDim - innerMargin;
         const fillY1 = centerOffset.y + printDim - innerMargin;
-        const fillHeight = fillY1 - fillY0;
+
+        // Lines run along X, or along Y on odd layers when alternating
+        const vertical = alternateInfill && layer % 2 === 1;
+        const [along0, along1, across0, across1] = vertical
+            ? [fillY0, fillY1, fillX0, fillX1]
+            : [fillX0, fillX1, fillY0, fillY1];
+        const at = (along, across) => (vertical ? [across, along] : [along, across]);
+        const fillHeight = across1 - across0;
 
         // Move to fill start, lower Z and recover retract once
         gcode.push(`G0 X${fillX0.toFixed(3)} Y${fillY0.toFixed(3)} F6000`);
         gcode.push(`G1 Z${z.toFixed(3)} F1000`);
-        gcode.push(`G1 E0.9 F3000`);
+        gcode.push(`G1 E${(retract + retractPrime).toFixed(3)} F3000`);
         prevX = fillX0;
         prevY = fillY0;
 
         let goingRight = true;
 
-        for (let yRel = fillY0; yRel <= fillY1; yRel += baseOverlap) {
+        for (let yRel = across0; yRel <= across1; yRel += infillSpacing) {
             let currentSpeed = baseSpeed;
-            if (yRel - fillY0 < fillHeight * 0.1) {
-                currentSpeed = baseSpeed * 0.5;
+            if (yRel - across0 < fillHeight * slowStartFraction) {
+                currentSpeed = baseSpeed * slowStartSpeed;
             }
 
             if (goingRight) {
-                writeBaseSegment(fillX0, yRel, currentSpeed);
-                writeBaseSegment(fillX1, yRel, currentSpeed);
+                writeBaseSegment(...at(along0, yRel), currentSpeed);
+                writeBaseSegment(...at(along1, yRel), currentSpeed);
             } else {
-                writeBaseSegment(fillX1, yRel, currentSpeed);
-                writeBaseSegment(fillX0, yRel, currentSpeed);
+                writeBaseSegment(...at(along1, yRel), currentSpeed);
+                writeBaseSegment(...at(along0, yRel), currentSpeed);
             }
             goingRight = !goingRight; // FIX: era fuori dal for a causa di parentesi errate
         }
@@ -927,18 +3521,27 @@ function generateRectangularBase(params) {
         filArea
     } = params;
 
-    const baseOverlap = 0.45;
-    const wallSpacing = 0.42;
-    const numWalls = 3;
-    const BASE_LINE_WIDTH = 0.5;
+    const {
+        numWalls,
+        wallSpacing,
+        lineWidth,
+        infillSpacing,
+        retract,
+        retractPrime,
+        slowStartFraction,
+        slowStartSpeed,
+        firstLayerFlow,
+        alternateInfill
+    } = params.baseSettings;
 
     let prevX = params.prevX;
     let prevY = params.prevY;
+    let flow = 1;
 
     function writeBaseSegment(x, y, customSpeed = baseSpeed) {
         const dist = Math.hypot(x - prevX, y - prevY);
         if (dist < 0.01) return;
-        const vol = dist * BASE_LINE_WIDTH * layerHeight;
+        const vol = dist * lineWidth * layerHeight * flow;
         const e = vol / filArea;
         gcode.push(`G1 X${x.toFixed(3)} Y${y.toFixed(3)} E${e.toFixed(5)} F${customSpeed.toFixed(0)}`);
         params.totalE += e;
@@ -951,6 +3554,7 @@ function generateRectangularBase(params) {
     for (let layer = 0; layer < baseLayers; layer++) {
         const z = zOffset + layer * layerHeight;
         gcode.push(`G1 Z${z.toFixed(3)} F1000 ; Base layer ${layer + 1}/${baseLayers}`);
+        flow = layer === 0 ? firstLayerFlow : 1;
 
         // Rectangular walls
         for (let w = 0; w < numWalls; w++) {
@@ -992,7 +3596,7 @@ function generateRectangularBase(params) {
             }
         }
 
-        gcode.push(`G1 E-0.8 F3000`);
+        gcode.push(`G1 E-${retract.toFixed(3)} F3000`);
         gcode.push(`G0 Z${(z + 0.4).toFixed(3)} F6000`);
 
         // Rectangular infill
@@ -1001,29 +3605,36 @@ function generateRectangularBase(params) {
         const fillY0 = offsetY + innerMargin;
         const fillX1 = offsetX + printWidth - innerMargin;
         const fillY1 = offsetY + printHeight - innerMargin;
-        const fillHeight = fillY1 - fillY0;
+
+        // Lines run along X, or along Y on odd layers when alternating
+        const vertical = alternateInfill && layer % 2 === 1;
+        const [along0, along1, across0, across1] = vertical
+            ? [fillY0, fillY1, fillX0, fillX1]
+            : [fillX0, fillX1, fillY0, fillY1];
+        const at = (along, across) => (vertical ? [across, along] : [along, across]);
+        const fillHeight = across1 - across0;
 
         // Move to fill start, lower Z and recover retract once
         gcode.push(`G0 X${fillX0.toFixed(3)} Y${fillY0.toFixed(3)} F6000`);
         gcode.push(`G1 Z${z.toFixed(3)} F1000`);
-        gcode.push(`G1 E0.9 F3000`);
+        gcode.push(`G1 E${(retract + retractPrime).toFixed(3)} F3000`);
         prevX = fillX0;
         prevY = fillY0;
 
         let goingRight = true;
 
-        for (let yRel = fillY0; yRel <= fillY1; yRel += baseOverlap) {
+        for (let yRel = across0; yRel <= across1; yRel += infillSpacing) {
             let currentSpeed = baseSpeed;
-            if (yRel - fillY0 < fillHeight * 0.1) {
-                currentSpeed = baseSpeed * 0.5;
+            if (yRel - across0 < fillHeight * slowStartFraction) {
+                currentSpeed = baseSpeed * slowStartSpeed;
             }
 
             if (goingRight) {
-                writeBaseSegment(fillX0, yRel, currentSpeed);
-                writeBaseSegment(fillX1, yRel, currentSpeed);
+                writeBaseSegment(...at(along0, yRel), currentSpeed);
+                writeBaseSegment(...at(along1, yRel), currentSpeed);
             } else {
-                writeBaseSegment(fillX1, yRel, currentSpeed);
-                writeBaseSegment(fillX0, yRel, currentSpeed);
+                writeBaseSegment(...at(along1, yRel), currentSpeed);
+                writeBaseSegment(...at(along0, yRel), currentSpeed);
             }
             goingRight = !goingRight;
         }
@@ -1036,6 +3647,859 @@ function generateRectangularBase(params) {
     return baseMargin + numWalls * wallSpacing;
 }
 
+/**
+ * Outline of a polygonal base shape (counter-clockwise, bed coordinates) fitted to the print
+ * area. `svgOutline` is a closed loop in SVG units (y down), used for the "svg" shape.
+ */
+function buildBaseOutline(shape, { offsetX, offsetY, printWidth, printHeight, cornerRadius = 5, starPoints = 5, svgOutline = null }) {
+    const cx = offsetX + printWidth / 2;
+    const cy = offsetY + printHeight / 2;
+    const rx = printWidth / 2;
+    const ry = printHeight / 2;
+    let points = [];
+
+    if (shape === "circle" || shape === "square" || shape === "rectangle") {
+        // The built-in shapes as polygons, for when accessories need to be cut into them
+        const r = Math.min(rx, ry);
+        if (shape === "circle") {
+            for (let i = 0; i < 180; i++) {
+                const a = (i / 180) * TWO_PI;
+                points.push({ x: cx + r * Math.cos(a), y: cy + r * Math.sin(a) });
+            }
+        } else {
+            const hx = shape === "square" ? r : rx;
+            const hy = shape === "square" ? r : ry;
+            points.push({ x: cx - hx, y: cy - hy }, { x: cx + hx, y: cy - hy }, { x: cx + hx, y: cy + hy }, { x: cx - hx, y: cy + hy });
+        }
+    } else if (shape === "ellipse") {
+        for (let i = 0; i < 180; i++) {
+            const a = (i / 180) * TWO_PI;
+            points.push({ x: cx + rx * Math.cos(a), y: cy + ry * Math.sin(a) });
+        }
+    } else if (shape === "hexagon") {
+        // Regular and pointy-top, as large as the print area allows
+        const radius = Math.min(rx / Math.cos(Math.PI / 6), ry);
+        for (let i = 0; i < 6; i++) {
+            const a = Math.PI / 2 + (i * TWO_PI) / 6;
+            points.push({ x: cx + radius * Math.cos(a), y: cy + radius * Math.sin(a) });
+        }
+    } else if (shape === "star") {
+        const radius = Math.min(rx, ry);
+        for (let i = 0; i < starPoints * 2; i++) {
+            const a = Math.PI / 2 + (i * Math.PI) / starPoints;
+            const r = i % 2 === 0 ? radius : radius * 0.5;
+            points.push({ x: cx + r * Math.cos(a), y: cy + r * Math.sin(a) });
+        }
+    } else if (shape === "roundedRect") {
+        const r = Math.max(0, Math.min(cornerRadius, rx, ry));
+        const corners = [
+            [rx - r, ry - r],
+            [-(rx - r), ry - r],
+            [-(rx - r), -(ry - r)],
+            [rx - r, -(ry - r)]
+        ];
+        corners.forEach(([ox, oy], c) => {
+            for (let k = 0; k <= 16; k++) {
+                const a = ((c + k / 16) * Math.PI) / 2;
+                points.push({ x: cx + ox + r * Math.cos(a), y: cy + oy + r * Math.sin(a) });
+            }
+        });
+    } else if (shape === "heart") {
+        for (let i = 0; i < 180; i++) {
+            const t = (i / 180) * TWO_PI;
+            points.push({
+                x: 16 * Math.pow(Math.sin(t), 3),
+                y: 13 * Math.cos(t) - 5 * Math.cos(2 * t) - 2 * Math.cos(3 * t) - Math.cos(4 * t)
+            });
+        }
+    } else if (shape === "svg" && svgOutline) {
+        points = svgOutline.map((p) => ({ x: p.x, y: -p.y }));
+    }
+
+    // Heart and SVG outlines have no natural size: scale them into the print area, keeping aspect
+    if (shape === "heart" || shape === "svg") {
+        const { minX, minY, maxX, maxY } = polygonBounds(points);
+        const scale = Math.min(printWidth / Math.max(maxX - minX, 1e-9), printHeight / Math.max(maxY - minY, 1e-9));
+        points = points.map((p) => ({
+            x: cx + (p.x - (minX + maxX) / 2) * scale,
+            y: cy + (p.y - (minY + maxY) / 2) * scale
+        }));
+    }
+
+    // Drop vertices bunched closer than 0.2 mm (the heart's tip), whose insets would cross over
+    const spaced = [];
+    for (const p of points) {
+        const last = spaced[spaced.length - 1];
+        if (!last || Math.hypot(p.x - last.x, p.y - last.y) >= 0.2) spaced.push(p);
+    }
+    while (spaced.length > 3 && Math.hypot(spaced[0].x - spaced[spaced.length - 1].x, spaced[0].y - spaced[spaced.length - 1].y) < 0.2) {
+        spaced.pop();
+    }
+    points = spaced;
+    if (polygonArea(points) < 0) points.reverse();
+    return points;
+}
+
+/**
+ * Cut base accessories into outline loops (counter-clockwise outlines, clockwise holes): a
+ * hanging hole just inside the edge or a keyring tab merged onto it, at `hole.angle` degrees
+ * from the centre (0 = right, 90 = top), and a stand slot `slot.offset` mm above the bottom.
+ * Throws when a feature does not fit on the base.
+ */
+function applyBaseAccessories(outlines, { hole = null, slot = null, edgeGap = 2 }) {
+    const loops = outlines.map((loop) => loop.slice());
+    const outer = loops.filter((loop) => polygonArea(loop) > 0);
+    const { minX, minY, maxX, maxY } = polygonBounds(outer.flat());
+    const fits = (x, y, clearance) =>
+        loopsContainPoint(loops, x, y) && loops.every((loop) => polygonEdgeDistance(loop, x, y) >= clearance);
+    const circleLoop = (cx, cy, r) => {
+        // Clockwise, as a hole
+        const points = [];
+        const segments = Math.max(24, Math.ceil((TWO_PI * r) / 0.5));
+        for (let i = 0; i < segments; i++) {
+            const a = -(i / segments) * TWO_PI;
+            points.push({ x: cx + r * Math.cos(a), y: cy + r * Math.sin(a) });
+        }
+        return points;
+    };
+
+    if (hole) {
+        const r = hole.diameter / 2;
+        const dir = { x: Math.cos((hole.angle * Math.PI) / 180), y: Math.sin((hole.angle * Math.PI) / 180) };
+        // Where a ray from the centre of the base leaves its outermost outline
+        const ox = (minX + maxX) / 2;
+        const oy = (minY + maxY) / 2;
+        let edge = null;
+        let edgeLoop = -1;
+        let best = 0;
+        loops.forEach((loop, k) => {
+            if (polygonArea(loop) <= 0) return;
+            for (let i = 0, j = loop.length - 1; i < loop.length; j = i++) {
+                const ex = loop[i].x - loop[j].x;
+                const ey = loop[i].y - loop[j].y;
+                const denom = dir.x * ey - dir.y * ex;
+                if (Math.abs(denom) < 1e-12) continue;
+                const t = ((loop[j].x - ox) * ey - (loop[j].y - oy) * ex) / denom;
+                const u = ((loop[j].x - ox) * dir.y - (loop[j].y - oy) * dir.x) / denom;
+                if (u >= 0 && u <= 1 && t > best) {
+                    best = t;
+                    edge = { x: ox + dir.x * t, y: oy + dir.y * t };
+                    edgeLoop = k;
+                }
+            }
+        });
+        if (!edge) throw new Error("Could not find the base edge for the hanging hole");
+
+        if (hole.type === "tab") {
+            // A disc sticking out past the edge, merged into that outline, with the hole at its centre
+            const tabR = r + edgeGap;
+            const cx = edge.x + dir.x * r;
+            const cy = edge.y + dir.y * r;
+            loops[edgeLoop] = mergeDiscIntoLoop(loops[edgeLoop], cx, cy, tabR);
+            loops.push(circleLoop(cx, cy, r));
+        } else {
+            // Step inwards until the hole keeps `edgeGap` of material to every edge (slanted edges
+            // need more than the straight inset)
+            let inset = r + edgeGap;
+            while (inset < best && !fits(edge.x - dir.x * inset, edge.y - dir.y * inset, r + edgeGap)) inset += 0.25;
+            if (inset >= best) {
+                throw new Error("The hanging hole does not fit at that edge position; try a smaller diameter or a keyring tab");
+            }
+            loops.push(circleLoop(edge.x - dir.x * inset, edge.y - dir.y * inset, r));
+        }
+    }
+
+    if (slot) {
+        const cx = (minX + maxX) / 2;
+        const y0 = minY + slot.offset;
+        const y1 = y0 + slot.thickness;
+        const corners = [
+            { x: cx - slot.width / 2, y: y0 },
+            { x: cx - slot.width / 2, y: y1 },
+            { x: cx + slot.width / 2, y: y1 },
+            { x: cx + slot.width / 2, y: y0 }
+        ];
+        if (y1 >= maxY || !corners.every((p) => fits(p.x, p.y, edgeGap / 2)) || !fits(cx, (y0 + y1) / 2, edgeGap / 2)) {
+            throw new Error("The stand slot does not fit on the base; reduce its width or move it up");
+        }
+        loops.push(corners);
+    }
+
+    return loops;
+}
+
+/**
+ * Union of a counter-clockwise loop with a disc that overlaps its edge: the loop's run inside
+ * the disc is replaced by the disc's arc outside the loop
+ */
+function mergeDiscIntoLoop(loop, cx, cy, radius) {
+    // Densify so the crossing points sit close to the circle
+    const dense = densifyPolygon(loop, 0.5);
+    const inside = (p) => Math.hypot(p.x - cx, p.y - cy) < radius;
+    const start = dense.findIndex((p) => !inside(p));
+    if (start < 0 || dense.every((p) => !inside(p))) return loop;
+    const rotated = dense.slice(start).concat(dense.slice(0, start));
+    const first = rotated.findIndex(inside);
+    let last = rotated.length - 1;
+    while (!inside(rotated[last])) last--;
+
+    const a = rotated[first - 1];
+    const b = rotated[(last + 1) % rotated.length];
+    const angA = Math.atan2(a.y - cy, a.x - cx);
+    let sweep = Math.atan2(b.y - cy, b.x - cx) - angA;
+    while (sweep <= 0) sweep += TWO_PI;
+    const arc = [];
+    const segments = Math.max(8, Math.ceil((sweep * radius) / 0.5));
+    for (let k = 1; k < segments; k++) {
+        const t = angA + (sweep * k) / segments;
+        arc.push({ x: cx + radius * Math.cos(t), y: cy + radius * Math.sin(t) });
+    }
+    return rotated.slice(0, first).concat(arc, rotated.slice(last + 1));
+}
+
+/**
+ * Largest closed loop of an SVG document, simplified, as the outline for the "svg" base shape
+ */
+function parseSvgBaseOutline(svgText) {
+    const { viewBox, shapes } = parseSvgArtwork(svgText);
+    let best = null;
+    let bestArea = 0;
+    for (const shape of shapes) {
+        for (const subpath of shape.subpaths) {
+            if (subpath.points.length < 3) continue;
+            const area = Math.abs(polygonArea(subpath.points));
+            if (area > bestArea) {
+                bestArea = area;
+                best = subpath.points;
+            }
+        }
+    }
+    if (!best) throw new Error("The SVG has no closed shape to use as a base outline");
+    const tolerance = Math.hypot(viewBox.width, viewBox.height) / 2000;
+    return simplifyPolyline(best, tolerance);
+}
+
+/**
+ * Outline loops of the artwork's footprint — opaque pixels for images with transparency, pixels
+ * at least `threshold` dark otherwise — grown by `radius` mm, for the "silhouette" base shape
+ */
+function buildSilhouetteOutlines({ offsetX, offsetY, printWidth, printHeight, radius, threshold, mirror }) {
+    const pixels = getAdjustedPixels();
+    const { width, height } = appState.cachedDimensions;
+    const luminance = readLuminanceModel();
+    const useAlpha = appState.sourceHasAlpha && (getElement("useAlphaMask")?.checked ?? true);
+
+    // Grid of 0.5 mm cells or coarser, padded so every loop closes
+    const cell = Math.max(0.5, Math.max(printWidth, printHeight) / 400);
+    const pad = Math.ceil(radius / cell) + 2;
+    const cols = Math.ceil(printWidth / cell) + 2 * pad;
+    const rows = Math.ceil(printHeight / cell) + 2 * pad;
+    const originX = offsetX - pad * cell;
+    const originY = offsetY - pad * cell;
+
+    const dist = new Float32Array(cols * rows);
+    for (let j = 0; j < rows; j++) {
+        for (let i = 0; i < cols; i++) {
+            const u = (originX + i * cell - offsetX) / printWidth;
+            const v = (originY + j * cell - offsetY) / printHeight;
+            let covered = false;
+            if (u >= 0 && u <= 1 && v >= 0 && v <= 1) {
+                const uSample = mirror ? 1 - u : u;
+                const paint = samplePaintMask(uSample, v);
+                covered =
+                    paint === PAINT_MASK.forceDark ||
+                    (paint !== PAINT_MASK.exclude &&
+                        (useAlpha
+                            ? getAlphaAtUV(uSample, v, pixels, width, height) >= 0.5
+                            : getBrightnessAtUV(uSample, v, pixels, width, height, null, luminance) >= threshold));
+            }
+            dist[j * cols + i] = covered ? 0 : Infinity;
+        }
+    }
+
+    // Two-pass chamfer distance transform (cell units)
+    const pass = (j, i, di, dj, w) => {
+        const ni = i + di;
+        const nj = j + dj;
+        if (ni < 0 || nj < 0 || ni >= cols || nj >= rows) return;
+        const k = j * cols + i;
+        dist[k] = Math.min(dist[k], dist[nj * cols + ni] + w);
+    };
+    for (let j = 0; j < rows; j++) {
+        for (let i = 0; i < cols; i++) {
+            pass(j, i, -1, 0, 1);
+            pass(j, i, 0, -1, 1);
+            pass(j, i, -1, -1, Math.SQRT2);
+            pass(j, i, 1, -1, Math.SQRT2);
+        }
+    }
+    for (let j = rows - 1; j >= 0; j--) {
+        for (let i = cols - 1; i >= 0; i--) {
+            pass(j, i, 1, 0, 1);
+            pass(j, i, 0, 1, 1);
+            pass(j, i, 1, 1, Math.SQRT2);
+            pass(j, i, -1, 1, Math.SQRT2);
+        }
+    }
+
+    const values = new Float32Array(cols * rows);
+    for (let k = 0; k < values.length; k++) values[k] = radius / cell - Math.min(dist[k], 1e6);
+
+    return marchingSquares(values, cols, rows, 0)
+        .filter((contour) => contour.closed && contour.points.length >= 3)
+        .map((contour) =>
+            simplifyPolyline(
+                contour.points.map((p) => ({ x: originX + p.x * cell, y: originY + p.y * cell })),
+                cell / 4
+            )
+        )
+        .filter((loop) => loop.length >= 3);
+}
+
+/**
+ * Generate a base with any polygonal outline (hexagon, rounded rectangle, ellipse, star, heart,
+ * SVG, silhouette). `outlines` is a list of loops: counter-clockwise outlines, clockwise holes.
+ */
+function generatePolygonBase(params) {
+    const { gcode, baseLayers, zOffset, layerHeight, outlines, baseMargin, baseSpeed, filArea } = params;
+
+    const {
+        numWalls,
+        wallSpacing,
+        lineWidth,
+        infillSpacing,
+        retract,
+        retractPrime,
+        slowStartFraction,
+        slowStartSpeed,
+        firstLayerFlow,
+        alternateInfill,
+        infillPattern,
+        ironing,
+        ironingFlow,
+        ironingSpacing
+    } = params.baseSettings;
+
+    let prevX = params.prevX;
+    let prevY = params.prevY;
+    let flow = 1;
+
+    function writeBaseSegment(x, y, customSpeed = baseSpeed) {
+        const dist = Math.hypot(x - prevX, y - prevY);
+        if (dist < 0.01) return;
+        const vol = dist * lineWidth * layerHeight * flow;
+        const e = vol / filArea;
+        gcode.push(`G1 X${x.toFixed(3)} Y${y.toFixed(3)} E${e.toFixed(5)} F${customSpeed.toFixed(0)}`);
+        params.totalE += e;
+        prevX = x;
+        prevY = y;
+    }
+
+    const walls = [];
+    for (let w = 0; w < numWalls; w++) {
+        for (const outline of outlines) {
+            const wall = offsetPolygon(outline, w * wallSpacing);
+            if (wall.length >= 3) walls.push(wall);
+        }
+    }
+    const fillLoops = outlines.map((outline) => offsetPolygon(outline, numWalls * wallSpacing)).filter((loop) => loop.length >= 3);
+
+    // Infill lines at any angle (degrees), scanned in the rotated frame: [start, end] point pairs
+    // tagged with their position across the fill, for the slow start
+    const lineCache = new Map();
+    function infillLines(degrees, spacing) {
+        const key = `${degrees}/${spacing}`;
+        if (!lineCache.has(key)) {
+            const a = (degrees * Math.PI) / 180;
+            const cos = Math.cos(a);
+            const sin = Math.sin(a);
+            const toBed = (along, across) => ({ x: along * cos - across * sin, y: along * sin + across * cos });
+            const rotated = fillLoops.map((loop) => loop.map((p) => ({ x: p.x * cos + p.y * sin, y: -p.x * sin + p.y * cos })));
+            const spans = polygonScanlines(rotated, spacing);
+            const acrossMin = spans.length > 0 ? spans[0].y : 0;
+            const acrossRange = spans.length > 0 ? spans[spans.length - 1].y - acrossMin : 0;
+            lineCache.set(
+                key,
+                spans.map((span) => {
+                    const slow = span.y - acrossMin < acrossRange * slowStartFraction;
+                    return [
+                        { ...toBed(span.x0, span.y), slow },
+                        { ...toBed(span.x1, span.y), slow }
+                    ];
+                })
+            );
+        }
+        return lineCache.get(key);
+    }
+
+    // Concentric pattern: insets of the (densified) fill loops until the region closes up.
+    // Vertices closer than the inset distance to any loop (swallowtails at tips, outline against
+    // hole) are dropped, and the inset is cut wherever the chord between kept vertices leaves
+    // the inset region, leaving open polylines instead of bridges over the gap. Insets stop at
+    // the fill's deepest point; the grid keeps the clearance tests off the full edge scan
+    const concentricPaths = [];
+    if (infillPattern === "concentric" && fillLoops.length > 0) {
+        const denseLoops = fillLoops.map((loop) => densifyPolygon(loop, infillSpacing));
+        const { minX, minY, maxX, maxY } = polygonBounds(fillLoops.flat());
+        const grid = buildClearanceGrid(fillLoops, Math.max(infillSpacing, Math.sqrt(((maxX - minX) * (maxY - minY)) / 100000)));
+        // Vertices are kept down to 0.9 of the inset distance, so insets run until that passes the deepest point
+        const maxDistance = grid.maxDepth() / 0.9;
+        for (let k = 0; infillSpacing / 2 + k * infillSpacing <= maxDistance; k++) {
+            const distance = infillSpacing / 2 + k * infillSpacing;
+            const clear = (p) => grid.isClear(p.x, p.y, distance * 0.9);
+            const chordClear = (a, b) =>
+                [0.25, 0.5, 0.75].every((t) => clear({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t }));
+            let found = false;
+            for (const loop of denseLoops) {
+                const kept = offsetPolygon(loop, distance, false).filter(clear);
+                if (kept.length < 2) continue;
+                const cut = kept.findIndex((p, i) => !chordClear(p, kept[(i + 1) % kept.length]));
+                found = true;
+                if (cut < 0) {
+                    concentricPaths.push({ path: kept.concat([kept[0]]), k });
+                    continue;
+                }
+                // Runs between cuts, starting just after one so none wraps around
+                let run = [kept[(cut + 1) % kept.length]];
+                for (let i = 2; i <= kept.length; i++) {
+                    const a = run[run.length - 1];
+                    const b = kept[(cut + i) % kept.length];
+                    if (chordClear(a, b)) {
+                        run.push(b);
+                    } else {
+                        if (run.length >= 2) concentricPaths.push({ path: run, k });
+                        run = [b];
+                    }
+                }
+                if (run.length >= 2) concentricPaths.push({ path: run, k });
+            }
+            if (!found) break;
+        }
+    }
+    const concentricCount = concentricPaths.length > 0 ? concentricPaths[concentricPaths.length - 1].k + 1 : 0;
+
+    // Print polylines in order; short links inside the fill are printed like the rectangular
+    // infill's, longer jumps (or any, when `linkLimit` is 0) travel
+    function printPaths(paths, speed, linkLimit) {
+        for (const path of paths) {
+            const currentSpeed = path[0].slow ? speed * slowStartSpeed : speed;
+            const start = path[0];
+            const midX = (prevX + start.x) / 2;
+            const midY = (prevY + start.y) / 2;
+            const gap = Math.hypot(start.x - prevX, start.y - prevY);
+            if (gap > linkLimit || !loopsContainPoint(fillLoops, midX, midY)) {
+                gcode.push(`G0 X${start.x.toFixed(3)} Y${start.y.toFixed(3)} F6000`);
+                prevX = start.x;
+                prevY = start.y;
+            } else {
+                writeBaseSegment(start.x, start.y, currentSpeed);
+            }
+            for (let i = 1; i < path.length; i++) writeBaseSegment(path[i].x, path[i].y, currentSpeed);
+        }
+    }
+
+    gcode.push(`; --- Polygon Base ---`);
+
+    for (let layer = 0; layer < baseLayers; layer++) {
+        const z = zOffset + layer * layerHeight;
+        gcode.push(`G1 Z${z.toFixed(3)} F1000 ; Base layer ${layer + 1}/${baseLayers}`);
+        flow = layer === 0 ? firstLayerFlow : 1;
+
+        // Outline walls, outermost first
+        for (const wall of walls) {
+            gcode.push(`G0 X${wall[0].x.toFixed(3)} Y${wall[0].y.toFixed(3)} F6000`);
+            prevX = wall[0].x;
+            prevY = wall[0].y;
+            for (let i = 1; i <= wall.length; i++) {
+                const p = wall[i % wall.length];
+                writeBaseSegment(p.x, p.y);
+            }
+        }
+
+        gcode.push(`G1 E-${retract.toFixed(3)} F3000`);
+        gcode.push(`G0 Z${(z + 0.4).toFixed(3)} F6000`);
+
+        // Infill paths for this layer. Lines: back and forth, chained nearest-first (concave
+        // outlines split lines into several spans). Monotonic: every line in the same direction,
+        // side to side, so neighbouring lines always overlap the same way
+        let angle = alternateInfill && layer % 2 === 1 ? 90 : 0;
+        let paths;
+        let linkLimit = 2.5 * infillSpacing;
+        if (infillPattern === "concentric") {
+            paths = orderPolylines(
+                concentricPaths.map(({ path, k }) =>
+                    simplifyPolyline(path, 0.01).map((p) => ({ ...p, slow: k < concentricCount * slowStartFraction }))
+                ),
+                prevX,
+                prevY
+            );
+            linkLimit = 0;
+        } else if (infillPattern === "monotonic") {
+            paths = infillLines(angle, infillSpacing);
+            linkLimit = 0;
+        } else {
+            if (infillPattern === "alternating45") angle = layer % 2 === 0 ? 45 : -45;
+            paths = orderPolylines(infillLines(angle, infillSpacing), prevX, prevY);
+        }
+
+        // Move to fill start, lower Z and recover retract once
+        if (paths.length > 0) {
+            gcode.push(`G0 X${paths[0][0].x.toFixed(3)} Y${paths[0][0].y.toFixed(3)} F6000`);
+            prevX = paths[0][0].x;
+            prevY = paths[0][0].y;
+        }
+        gcode.push(`G1 Z${z.toFixed(3)} F1000`);
+        gcode.push(`G1 E${(retract + retractPrime).toFixed(3)} F3000`);
+
+        printPaths(paths, baseSpeed, linkLimit);
+
+        // Ironing: a dense, nearly dry pass over the top layer, across its infill, flattening the
+        // surface the art is drawn on. Flow is relative to a full line at the ironing spacing
+        if (ironing && layer === baseLayers - 1) {
+            gcode.push(`; Ironing`);
+            flow = (ironingFlow * ironingSpacing) / lineWidth;
+            const ironLines = infillLines(angle + 90, ironingSpacing).map((line) => line.map((p) => ({ ...p, slow: false })));
+            printPaths(orderPolylines(ironLines, prevX, prevY), baseSpeed, 2.5 * ironingSpacing);
+        }
+        gcode.push(`G0 Z${(z + 0.5).toFixed(3)} F6000`);
+    }
+
+    params.prevX = prevX;
+    params.prevY = prevY;
+
+    return baseMargin + numWalls * wallSpacing;
+}
+
+// ==================== G-CODE OPTIMIZATION ====================
+
+/** Extruding G1 move in the form the generator writes: X, Y, E and F */
+const EXTRUDE_MOVE_RE = /^G1 X(-?[\d.]+) Y(-?[\d.]+) E([\d.]+) F([\d.]+)$/;
+
+/**
+ * XY position after a G-code line (unchanged when the line has no X/Y word)
+ */
+function gcodeLineXY(line, x, y) {
+    if (!/^G[0-3]\s/.test(line)) return { x, y };
+    const mx = line.match(/\sX(-?[\d.]+)/);
+    const my = line.match(/\sY(-?[\d.]+)/);
+    return { x: mx ? parseFloat(mx[1]) : x, y: my ? parseFloat(my[1]) : y };
+}
+
+/**
+ * Runs of consecutive extruding G1 moves whose extrusion per mm and feed stay within
+ * `widthTolerance` and `feedTolerance` (relative) of the run's first move, as
+ * { points, units, feeds } with `points[0]` the position before the run and E in whole
+ * 0.00001 units (the generator writes 5 decimals), so sums stay exact. Other lines are
+ * returned as strings.
+ */
+function splitExtrusionRuns(lines, widthTolerance, feedTolerance = 0) {
+    const items = [];
+    let x = 0;
+    let y = 0;
+    let run = null;
+    for (const line of lines) {
+        const m = line.match(EXTRUDE_MOVE_RE);
+        if (m) {
+            const px = parseFloat(m[1]);
+            const py = parseFloat(m[2]);
+            const units = Math.round(parseFloat(m[3]) * 100000);
+            const feed = parseFloat(m[4]);
+            const len = Math.hypot(px - x, py - y);
+            const rate = len > 1e-9 ? units / len : 0;
+            const matches =
+                run &&
+                len > 1e-9 &&
+                Math.abs(feed - run.feed) <= run.feed * feedTolerance &&
+                Math.abs(rate - run.rate) <= run.rate * widthTolerance;
+            if (!matches) {
+                if (run) items.push(run);
+                run = { points: [{ x, y }], units: [], feeds: [], rate, feed };
+            }
+            run.points.push({ x: px, y: py });
+            run.units.push(units);
+            run.feeds.push(feed);
+        } else {
+            if (run) items.push(run);
+            run = null;
+            items.push(line);
+        }
+        ({ x, y } = gcodeLineXY(line, x, y));
+    }
+    if (run) items.push(run);
+    return items;
+}
+
+/**
+ * Extruding move through a run's points[from..to]: the summed E and the length-weighted feed
+ */
+function runMove(command, run, from, to, extraWords = "") {
+    let units = 0;
+    let feedLength = 0;
+    let length = 0;
+    for (let i = from; i < to; i++) {
+        const len = Math.hypot(run.points[i + 1].x - run.points[i].x, run.points[i + 1].y - run.points[i].y);
+        units += run.units[i];
+        feedLength += run.feeds[i] * len;
+        length += len;
+    }
+    const feed = length > 0 ? feedLength / length : run.feeds[from];
+    const end = run.points[to];
+    return `${command} X${end.x.toFixed(3)} Y${end.y.toFixed(3)}${extraWords} E${(units / 100000).toFixed(5)} F${feed.toFixed(0)}`;
+}
+
+/**
+ * Circle through three points, or null when they are (nearly) collinear
+ */
+function circleThrough(a, b, c) {
+    const d = 2 * (a.x * (b.y - c.y) + b.x * (c.y - a.y) + c.x * (a.y - b.y));
+    if (Math.abs(d) < 1e-9) return null;
+    const a2 = a.x * a.x + a.y * a.y;
+    const b2 = b.x * b.x + b.y * b.y;
+    const c2 = c.x * c.x + c.y * c.y;
+    const x = (a2 * (b.y - c.y) + b2 * (c.y - a.y) + c2 * (a.y - b.y)) / d;
+    const y = (a2 * (c.x - b.x) + b2 * (a.x - c.x) + c2 * (b.x - a.x)) / d;
+    return { x, y, r: Math.hypot(a.x - x, a.y - y) };
+}
+
+/**
+ * Arc through points[from..to] if every point and chord midpoint is within `tolerance` of it
+ * and the points turn steadily one way (less than a full turn): { x, y, r, ccw }
+ */
+function fitArc(points, from, to, tolerance) {
+    const circle = circleThrough(points[from], points[(from + to) >> 1], points[to]);
+    if (!circle || circle.r > ARC_MAX_RADIUS) return null;
+    const angleOf = (p) => Math.atan2(p.y - circle.y, p.x - circle.x);
+    let sweep = 0;
+    let direction = 0;
+    for (let i = from; i < to; i++) {
+        const p = points[i];
+        const q = points[i + 1];
+        const mid = { x: (p.x + q.x) / 2, y: (p.y + q.y) / 2 };
+        if (Math.abs(Math.hypot(q.x - circle.x, q.y - circle.y) - circle.r) > tolerance) return null;
+        if (Math.abs(Math.hypot(mid.x - circle.x, mid.y - circle.y) - circle.r) > tolerance) return null;
+        let step = angleOf(q) - angleOf(p);
+        if (step > Math.PI) step -= TWO_PI;
+        if (step < -Math.PI) step += TWO_PI;
+        const sign = Math.sign(step);
+        if (sign === 0 || (direction !== 0 && sign !== direction)) return null;
+        direction = sign;
+        sweep += Math.abs(step);
+    }
+    if (sweep >= TWO_PI * 0.99) return null;
+    return { ...circle, ccw: direction > 0 };
+}
+
+/**
+ * Replace runs of short extruding G1 chords with the same feed and width by G2/G3 arcs that
+ * stay within `tolerance` mm of every point. Each arc carries the exact sum of the E values it
+ * replaces.
+ */
+function fitArcs(lines, tolerance, widthTolerance = 0.01) {
+    const out = [];
+    for (const item of splitExtrusionRuns(lines, widthTolerance)) {
+        if (typeof item === "string") {
+            out.push(item);
+            continue;
+        }
+        const { points, units } = item;
+        let i = 0;
+        while (i < units.length) {
+            // Grow the arc one chord at a time until it no longer fits
+            let best = null;
+            let bestEnd = i;
+            for (let end = i + ARC_MIN_SEGMENTS; end <= Math.min(units.length, i + ARC_MAX_SEGMENTS); end++) {
+                const arc = fitArc(points, i, end, tolerance);
+                if (!arc) break;
+                best = arc;
+                bestEnd = end;
+            }
+            if (!best) {
+                out.push(runMove("G1", item, i, i + 1));
+                i++;
+                continue;
+            }
+            const start = points[i];
+            const center = ` I${(best.x - start.x).toFixed(3)} J${(best.y - start.y).toFixed(3)}`;
+            out.push(runMove(best.ccw ? "G3" : "G2", item, i, bestEnd, center));
+            i = bestEnd;
+        }
+    }
+    return out;
+}
+
+/**
+ * Merge consecutive extruding moves that continue in a straight line (every skipped point
+ * within `tolerance` mm of the merged segment) and whose width and feed stay within
+ * `widthTolerance` (relative). Points closer than `minLength` to the last kept point are
+ * folded into the next move. The summed E is unchanged.
+ */
+function mergeCollinearMoves(lines, tolerance, widthTolerance, minLength) {
+    const out = [];
+    for (const item of splitExtrusionRuns(lines, widthTolerance, widthTolerance)) {
+        if (typeof item === "string") {
+            out.push(item);
+            continue;
+        }
+
+        // Fold sub-threshold moves into the following one (the run's last point always stays)
+        const run = { points: [item.points[0]], units: [], feeds: [] };
+        let pendingUnits = 0;
+        for (let i = 0; i < item.units.length; i++) {
+            const p = item.points[i + 1];
+            const last = run.points[run.points.length - 1];
+            pendingUnits += item.units[i];
+            if (Math.hypot(p.x - last.x, p.y - last.y) < minLength && i < item.units.length - 1) continue;
+            run.points.push(p);
+            run.units.push(pendingUnits);
+            run.feeds.push(item.feeds[i]);
+            pendingUnits = 0;
+        }
+
+        let i = 0;
+        while (i < run.units.length) {
+            // Extend while the skipped points stay on the segment, in order
+            let end = i + 1;
+            while (end < run.units.length && isStraightRun(run.points, i, end + 1, tolerance)) end++;
+            out.push(runMove("G1", run, i, end));
+            i = end;
+        }
+    }
+    return out;
+}
+
+/**
+ * Whether points[from..to] lie within `tolerance` of the segment from points[from] to
+ * points[to], moving forwards along it
+ */
+function isStraightRun(points, from, to, tolerance) {
+    const a = points[from];
+    const b = points[to];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const len = Math.hypot(dx, dy);
+    if (len < 1e-9) return false;
+    let lastT = 0;
+    for (let k = from + 1; k < to; k++) {
+        const p = points[k];
+        const t = ((p.x - a.x) * dx + (p.y - a.y) * dy) / (len * len);
+        if (t < lastT || t > 1) return false;
+        if (Math.abs((p.x - a.x) * dy - (p.y - a.y) * dx) / len > tolerance) return false;
+        lastT = t;
+    }
+    return true;
+}
+
+// ==================== FIRMWARE FLAVORS ====================
+
+/**
+ * Firmware-specific commands: filament-change pause, wait for queued moves, tool change (lines
+ * for tool `n`, `comment` appended to the T line) and dwell in milliseconds, plus the extrusion
+ * mode and firmware retraction preset when the flavor is picked
+ */
+const FIRMWARE_FLAVORS = {
+    marlin: {
+        pause: "M600",
+        wait: "M400",
+        toolChange: (n, comment = "") => [`T${n}${comment}`],
+        dwell: (ms) => `G4 P${ms}`,
+        extrusionMode: "relative",
+        firmwareRetraction: false
+    },
+    klipper: {
+        pause: "PAUSE",
+        wait: "M400",
+        toolChange: (n, comment = "") => [`T${n}${comment}`],
+        dwell: (ms) => `G4 P${ms}`,
+        extrusionMode: "relative",
+        firmwareRetraction: true
+    },
+    reprap: {
+        pause: "M226",
+        wait: "M400",
+        toolChange: (n, comment = "") => [`T${n}${comment}`],
+        dwell: (ms) => `G4 S${ms / 1000}`,
+        extrusionMode: "absolute",
+        firmwareRetraction: true
+    },
+    bambu: {
+        pause: "M400 U1",
+        wait: "M400",
+        toolChange: (n, comment = "") => [`M620 S${n}A`, `T${n}${comment}`, `M621 S${n}A`],
+        dwell: (ms) => `G4 P${ms}`,
+        extrusionMode: "relative",
+        firmwareRetraction: false
+    }
+};
+
+/** Pause commands of every flavor, recognised as the base/art switch by the preview */
+const PAUSE_COMMANDS = Object.values(FIRMWARE_FLAVORS).map((flavor) => flavor.pause);
+
+/**
+ * Selected firmware flavor (Marlin when unset)
+ */
+function readFirmwareFlavor() {
+    return FIRMWARE_FLAVORS[getElement("firmwareFlavor")?.value] || FIRMWARE_FLAVORS.marlin;
+}
+
+/**
+ * Rewrite finished G-code, written with relative E moves under an M82 or M83 header, for the
+ * chosen extrusion mode. With `firmwareRetraction` E-only retracts (the filament-change one
+ * inside G91…G90 too) become G10 and the E-only move after each becomes G11, plus an E move for
+ * whatever it adds beyond or leaves short of the retract, so the net extrusion is unchanged;
+ * after a filament-change pause that move is a fresh prime and is kept in full. With `absoluteE`
+ * a G92 E0 follows M82 and every E word is the running total since the last G92 E0; moves
+ * inside G91…G90 blocks stay relative but still count.
+ */
+function applyExtrusionMode(lines, { absoluteE = false, firmwareRetraction = false } = {}) {
+    if (!absoluteE && !firmwareRetraction) return lines;
+    const out = [];
+    let relativeBlock = false;
+    let retracted = 0;
+    let filamentChanged = false;
+    let position = 0;
+    for (const line of lines) {
+        if (/^G91\b/.test(line)) relativeBlock = true;
+        if (/^G90\b/.test(line)) relativeBlock = false;
+        if (/^G92 E0\b/.test(line)) position = 0;
+        if (PAUSE_COMMANDS.includes(line)) filamentChanged = true;
+        if (absoluteE && /^M82\b/.test(line)) {
+            // Absolute E values count from here, not from wherever the printer's E position was
+            out.push(line, "G92 E0");
+            position = 0;
+            continue;
+        }
+        const m = line.match(/^(G[0-3]\s.*?\bE)(-?[\d.]+)(.*)$/);
+        if (!m) {
+            out.push(line);
+            continue;
+        }
+        const units = Math.round(parseFloat(m[2]) * 100000);
+        const eOnly = /^G1 E-?[\d.]+( F\d+)?$/.test(line);
+        if (firmwareRetraction && eOnly && units < 0 && retracted === 0) {
+            retracted = -units;
+            filamentChanged = false;
+            out.push("G10 ; Retract");
+            continue;
+        }
+        let extra = units;
+        // The next E-only move after a retract is its prime, even a negative one
+        if (firmwareRetraction && eOnly && retracted > 0) {
+            out.push("G11 ; Unretract");
+            if (!filamentChanged) extra = units - retracted;
+            retracted = 0;
+            if (extra === 0) continue;
+        }
+        position += extra;
+        if ((relativeBlock || !absoluteE) && extra === units) {
+            out.push(line);
+            continue;
+        }
+        const e = absoluteE && !relativeBlock ? position : extra;
+        out.push(`${m[1]}${(e / 100000).toFixed(5)}${m[3]}`);
+    }
+    return out;
+}
+
 // ==================== MAIN PROCESS FUNCTION ====================
 
 /**
@@ -1064,6 +4528,7 @@ function processImage() {
     if (downloadBtn) {
         downloadBtn.style.display = "none";
     }
+    getElement("baseExportButtons")?.classList.add("hidden");
 
     showLoadingSpinner();
 
@@ -1091,6 +4556,14 @@ function processImageCore() {
     // Get and validate all parameters
     const pathTypeElem = getElement("pathType");
     const pathType = pathTypeElem ? pathTypeElem.value : "spiral";
+    // Imported SVG artwork replaces the path type and uses the rectangular layout
+    const useSvgVectors = !!appState.svgArtwork && (getElement("svgVectorMode")?.checked ?? true);
+    // Path types laid out on the centred printDim × printDim square (square base and clip)
+    const isSquareLayout = !useSvgVectors && ["squareSpiral", "hilbert", "adaptiveHilbert"].includes(pathType);
+    const waveCarrier = getElement("waveCarrier")?.value || "spiral";
+    // Path types laid out on the centred circle (circular base and clip)
+    const isCircularLayout =
+        !useSvgVectors && (pathType === "spiral" || (pathType === "wave" && waveCarrier === "spiral"));
 
     const filamentDia = safeParseFloat(getElement("filamentDia")?.value, 1.75, 0.1, 5);
     const layerHeight = safeParseFloat(getElement("layerHeight")?.value, 0.2, 0.05, 1);
@@ -1129,42 +4602,72 @@ function processImageCore() {
 
     const minSpeed = minSpeedMMS * 60;
     const maxSpeed = maxSpeedMMS * 60;
-    const gammaVal = safeParseFloat(getElement("gamma")?.value, 1.5, 0.5, 3);
+    // Tone curves: width drives line width and every mode's notion of darkness, speed the feed rate
+    const widthCurve = createToneCurve(getToneCurvePoints("width"));
+    const speedCurve = createToneCurve(getToneCurvePoints("speed"));
+    const luminance = readLuminanceModel();
     const squiggleAmp = safeParseFloat(getElement("squiggleAmp")?.value, 0, 0, 5);
     const squiggleFreq = safeParseFloat(getElement("squiggleFreq")?.value, 1, 0.1, 20);
     const useSquiggle = squiggleAmp > 0.01;
-    const fractalOrder = safeParseInt(getElement("hilbertOrder")?.value, 6, 3, 8);
+    const hilbertOrder = safeParseInt(getElement("hilbertOrder")?.value, 6, 3, 10);
+    const stippleCount = safeParseInt(getElement("stipplePoints")?.value, 5000, 100, 50000);
+    const flowDirection = getElement("flowDirection")?.value || "isophote";
+    const flowSparseFactor = safeParseFloat(getElement("flowSparseFactor")?.value, 4, 1, 10);
+    const isoLevels = safeParseInt(getElement("isoLevels")?.value, 8, 1, 30);
+    const isoOrder = getElement("isoOrder")?.value || "insideOut";
+    const adaptiveDetail = safeParseFloat(getElement("adaptiveDetail")?.value, 0.5, 0, 1);
+    const waveLineWidth = safeParseFloat(getElement("waveLineWidth")?.value, 0.4, 0.1, 2);
+    const waveMaxFreq = safeParseFloat(getElement("waveMaxFreq")?.value, 1.5, 0.1, 5);
+    const edgeMethod = getElement("edgeMethod")?.value || "canny";
+    const edgeSensitivity = safeParseFloat(getElement("edgeSensitivity")?.value, 0.5, 0, 1);
+    const edgeLineWidth = safeParseFloat(getElement("edgeLineWidth")?.value, 0.4, 0.1, 2);
+    const rasterAngle = safeParseFloat(getElement("rasterAngle")?.value, 30, -180, 180);
+    const hatchAngles = (getElement("hatchAngles")?.value || "45, -45, 0, 90")
+        .split(",")
+        .map((a) => parseFloat(a))
+        .filter((a) => isFinite(a))
+        .slice(0, 8);
+    if (pathType === "crossHatch" && hatchAngles.length === 0) {
+        showErrorMessage("Enter at least one hatch angle");
+        return;
+    }
 
     const addCircularBaseElem = getElement("addCircularBase");
     const addCircularBase = addCircularBaseElem ? addCircularBaseElem.checked : false;
     const baseMargin = safeParseFloat(getElement("baseMargin")?.value, 2, 0, 100);
     const baseLayers = safeParseInt(getElement("baseLayers")?.value, 2, 1, 20);
+    // "auto" keeps the base that matches the path layout: circle, centred square or print rectangle
+    const baseShapeSetting = getElement("baseShape")?.value || "auto";
+    const baseShape =
+        baseShapeSetting !== "auto" ? baseShapeSetting : isCircularLayout ? "circle" : isSquareLayout ? "square" : "rectangle";
+    if (addCircularBase && baseShape === "svg" && !appState.baseOutlineSvg) {
+        showErrorMessage("Load an SVG outline for the base first");
+        return;
+    }
+    const baseSettings = readBaseSettings();
 
     const textModeElem = getElement("textMode");
     const textMode = textModeElem ? textModeElem.checked : false;
     const textThreshold = safeParseFloat(getElement("textThreshold")?.value, 0.4, 0.05, 0.95);
+    const ditherMethod = getElement("ditherMethod")?.value || "threshold";
 
     const anaW = appState.originalImage.width;
     const anaH = appState.originalImage.height;
 
-    // Get or cache pixel data
-    let pixels;
-    if (
-        appState.cachedPixels &&
-        appState.cachedDimensions?.width === anaW &&
-        appState.cachedDimensions?.height === anaH
-    ) {
-        pixels = appState.cachedPixels;
-    } else {
-        hiddenCanvas.width = anaW;
-        hiddenCanvas.height = anaH;
-        ctx.drawImage(appState.originalImage, 0, 0, anaW, anaH);
-        pixels = ctx.getImageData(0, 0, anaW, anaH).data;
+    // Cached pixel data with the adjustment stack applied (SVG vector artwork is used as-is,
+    // never rasterized)
+    const pixels = useSvgVectors ? null : getAdjustedPixels();
 
-        // Cache for future use
-        appState.cachedPixels = pixels;
-        appState.cachedDimensions = { width: anaW, height: anaH };
-    }
+    // Alpha mask: transparent samples travel; the silhouette clip also drops half-transparent edges
+    const useAlphaMask = getElement("useAlphaMask")?.checked ?? true;
+    const alphaClip = getElement("alphaClip")?.checked ?? false;
+    const alphaThreshold = pixels && useAlphaMask && appState.sourceHasAlpha ? (alphaClip ? 0.5 : 0.02) : null;
+
+    // Paint mask "zone B" modulation range
+    const altMinW = safeParseFloat(getElement("altMinLineWidth")?.value, 0.3, 0.05, 3);
+    const altMaxW = Math.max(altMinW, safeParseFloat(getElement("altMaxLineWidth")?.value, 0.5, 0.05, 3));
+    const altMinSpeed = safeParseFloat(getElement("altMinSpeed")?.value, 20, 1, 300) * 60;
+    const altMaxSpeed = Math.max(altMinSpeed, safeParseFloat(getElement("altMaxSpeed")?.value, 60, 1, 300) * 60);
 
     // Compute offsets: center origin uses negative half-dimensions, corner uses centered on bed
     const offsetX = originAtCenter ? -printWidth / 2  : (bedWidth  - printWidth)  / 2;
@@ -1173,12 +4676,90 @@ function processImageCore() {
     const safeZ = zOffset + 5.0;
     let totalE = 0;
 
-    const printDim = Math.min(printWidth, printHeight);
-    const baseRadius = printDim / 2;
-    const centerX = offsetX + printWidth / 2;
-    const centerY = offsetY + printHeight / 2;
-    // innerRadius is updated after base generation; default 0 means no clipping when base is disabled
-    let innerRadius = 0;
+    const printDim = Math.min(printWidth, printHeight);
+    const baseRadius = printDim / 2;
+    // Point-count guard: 4^order points, no closer together than HILBERT_MIN_STEP
+    const fractalOrder = Math.max(3, Math.min(hilbertOrder, Math.floor(Math.log2(printDim / HILBERT_MIN_STEP))));
+    const centerX = offsetX + printWidth / 2;
+    const centerY = offsetY + printHeight / 2;
+    // innerRadius is updated after base generation; default 0 means no clipping when base is disabled
+    let innerRadius = 0;
+    // Polygonal base shapes share one generator and clip test; outlines are loops (holes clockwise)
+    let baseOutlines = null;
+    if (addCircularBase && baseShape === "silhouette") {
+        // Grown by the margin plus the walls, so the clip region is the footprint itself
+        const { numWalls, wallSpacing } = baseSettings;
+        baseOutlines = buildSilhouetteOutlines({
+            offsetX,
+            offsetY,
+            printWidth,
+            printHeight,
+            radius: baseMargin + numWalls * wallSpacing,
+            threshold: safeParseFloat(getElement("baseSilhouetteThreshold")?.value, 0.4, 0.01, 1),
+            mirror: mirrorimage
+        });
+        if (baseOutlines.length === 0) {
+            showErrorMessage("The image has no dark or opaque area to build a silhouette base from");
+            return;
+        }
+    } else if (addCircularBase && !["circle", "square", "rectangle"].includes(baseShape)) {
+        baseOutlines = [
+            buildBaseOutline(baseShape, {
+                offsetX,
+                offsetY,
+                printWidth,
+                printHeight,
+                cornerRadius: safeParseFloat(getElement("baseCornerRadius")?.value, 5, 0, 500),
+                starPoints: safeParseInt(getElement("baseStarPoints")?.value, 5, 3, 24),
+                svgOutline: appState.baseOutlineSvg
+            })
+        ];
+    }
+
+    // Base accessories: hanging hole or keyring tab, stand slot and raised rim. Holes and slots are
+    // cut into polygon outlines, and only the polygon generator has infill patterns and ironing,
+    // so the built-in shapes switch to their polygon form when any of these is used
+    const holeType = getElement("baseHoleType")?.value || "none";
+    const standSlot = getElement("baseStandSlot")?.checked ?? false;
+    const addRim = addCircularBase && (getElement("baseRim")?.checked ?? false);
+    const rimLayers = safeParseInt(getElement("baseRimLayers")?.value, 3, 1, 50);
+    const rimWidth = safeParseFloat(getElement("baseRimWidth")?.value, 1.2, 0.3, 20);
+    // A base exported as a mesh uses the polygon form too, so the mesh and the art clip share one outline
+    const exportBaseMesh = getElement("baseMeshExport")?.checked ?? false;
+    const needsPolygonBase =
+        holeType !== "none" ||
+        standSlot ||
+        addRim ||
+        exportBaseMesh ||
+        baseSettings.infillPattern !== "lines" ||
+        baseSettings.ironing;
+    if (addCircularBase && needsPolygonBase) {
+        if (!baseOutlines) baseOutlines = [buildBaseOutline(baseShape, { offsetX, offsetY, printWidth, printHeight })];
+        const { numWalls, wallSpacing } = baseSettings;
+        try {
+            baseOutlines = applyBaseAccessories(baseOutlines, {
+                hole:
+                    holeType === "none"
+                        ? null
+                        : {
+                              type: holeType,
+                              angle: safeParseFloat(getElement("baseHolePosition")?.value, 90, -360, 360),
+                              diameter: safeParseFloat(getElement("baseHoleDiameter")?.value, 4, 1, 50)
+                          },
+                slot: standSlot
+                    ? {
+                          width: safeParseFloat(getElement("baseSlotWidth")?.value, 30, 2, 500),
+                          thickness: safeParseFloat(getElement("baseSlotThickness")?.value, 3.2, 0.5, 50),
+                          offset: safeParseFloat(getElement("baseSlotOffset")?.value, 8, 0, 500)
+                      }
+                    : null,
+                edgeGap: Math.max(2, 2 * numWalls * wallSpacing)
+            });
+        } catch (error) {
+            showErrorMessage(error.message);
+            return;
+        }
+    }
 
     previewCanvas.width = bedWidth * PREVIEW_SCALE;
     previewCanvas.height = bedHeight * PREVIEW_SCALE;
@@ -1194,7 +4775,22 @@ function processImageCore() {
         previewCtx.lineWidth = 1 / PREVIEW_SCALE;
         previewCtx.setLineDash([4, 4]);
 
-        if (pathType === "spiral") {
+        if (baseOutlines) {
+            // Polygon preview: outlines and the margin-inset clip edges
+            const tracePolygon = (polygon) => {
+                previewCtx.beginPath();
+                polygon.forEach((p, i) => {
+                    if (i === 0) previewCtx.moveTo(p.x + dispOX, p.y + dispOY);
+                    else previewCtx.lineTo(p.x + dispOX, p.y + dispOY);
+                });
+                previewCtx.closePath();
+                previewCtx.stroke();
+            };
+            baseOutlines.forEach(tracePolygon);
+            previewCtx.strokeStyle = "rgba(37, 99, 235, 0.8)";
+            previewCtx.setLineDash([2, 2]);
+            baseOutlines.forEach((outline) => tracePolygon(offsetPolygon(outline, baseMargin)));
+        } else if (baseShape === "circle") {
             // Circular preview
             previewCtx.beginPath();
             previewCtx.arc(centerX + dispOX, centerY + dispOY, baseRadius, 0, TWO_PI);
@@ -1204,7 +4800,7 @@ function processImageCore() {
             previewCtx.beginPath();
             previewCtx.arc(centerX + dispOX, centerY + dispOY, innerRadius, 0, TWO_PI);
             previewCtx.stroke();
-        } else if (pathType === "squareSpiral" || pathType === "hilbert") {
+        } else if (baseShape === "square") {
             // Square preview
             const centerOffset = {
                 x: centerX - printDim / 2 + dispOX,
@@ -1226,11 +4822,15 @@ function processImageCore() {
         previewCtx.setLineDash([]);
     }
 
-    // Start G-code generation
+    // Start G-code generation; moves are written with relative E and converted at the end
+    const extrusionMode = {
+        absoluteE: getElement("extrusionMode")?.value === "absolute",
+        firmwareRetraction: getElement("firmwareRetraction")?.checked ?? false
+    };
     let gcode = [];
     gcode.push(`; --- G-Code Art Generator (Improved) ---`);
     gcode.push(`G90 ; Absolute Coordinates (XYZE)`);
-    gcode.push(`M83 ; Relative Extrusion`);
+    gcode.push(extrusionMode.absoluteE ? `M82 ; Absolute Extrusion` : `M83 ; Relative Extrusion`);
 
     let startPoint = { x: offsetX, y: offsetY };
     const centerOffset = {
@@ -1251,33 +4851,22 @@ function processImageCore() {
     let prevX = startPoint.x;
     let prevY = startPoint.y;
 
-    const BASE_SPACING = 0.5;
-    const BASE_LINE_WIDTH = 0.5;
     const baseSpeedMMS = safeParseFloat(getElement("baseSpeed")?.value, 30, 10, 150);
     const baseSpeed = baseSpeedMMS * 60;
 
     let drawingStartZ = zOffset;
 
-    function writeBaseSegment(x, y, customSpeed = baseSpeed) {
-        const dist = Math.hypot(x - prevX, y - prevY);
-        if (dist < 0.01) return;
-        const vol = dist * BASE_LINE_WIDTH * layerHeight;
-        const e = vol / filArea;
-        gcode.push(`G1 X${x.toFixed(3)} Y${y.toFixed(3)} E${e.toFixed(5)} F${customSpeed.toFixed(0)}`);
-        totalE += e;
-        prevX = x;
-        prevY = y;
-    }
-
     const changeMode = getElement("filamentChangeMode")?.value || "manual";
     const amsBaseSlot = getElement("amsBaseSlot")?.value || "T0";
     const amsDrawingSlot = getElement("amsDrawingSlot")?.value || "T1";
+    const flavor = readFirmwareFlavor();
+    const drawingToolChange = flavor.toolChange(parseInt(amsDrawingSlot.slice(1), 10) || 0);
 
     // Generate base layer if enabled
     if (addCircularBase) {
         if (changeMode === "ams") {
-            gcode.push(`${amsBaseSlot} ; Select Base Filament Slot`);
-            gcode.push(`M400 ; Wait for load`);
+            gcode.push(...flavor.toolChange(parseInt(amsBaseSlot.slice(1), 10) || 0, " ; Select Base Filament Slot"));
+            gcode.push(`${flavor.wait} ; Wait for load`);
         }
 
         gcode.push(`G0 Z${safeZ.toFixed(3)} F6000`);
@@ -1299,17 +4888,21 @@ function processImageCore() {
             offsetX,
             offsetY,
             baseSpeed,
+            baseSettings,
+            outlines: baseOutlines,
             filArea,
             prevX,
             prevY,
             totalE
         };
 
-        // ADAPTIVE BASE GENERATION - Choose shape based on path type
+        // Base generation for the selected (or path-matched) shape
         let innerMargin;
-        if (pathType === "spiral") {
+        if (baseOutlines) {
+            innerMargin = generatePolygonBase(baseParams);
+        } else if (baseShape === "circle") {
             innerMargin = generateCircularBase(baseParams);
-        } else if (pathType === "squareSpiral" || pathType === "hilbert") {
+        } else if (baseShape === "square") {
             innerMargin = generateSquareBase(baseParams);
         } else {
             // zigzag, diagonal
@@ -1325,12 +4918,12 @@ function processImageCore() {
         gcode.push(`; --- TRANSITION TO ARTWORK ---`);
 
         if (changeMode === "ams") {
-            gcode.push(`M400`);
+            gcode.push(flavor.wait);
             gcode.push(`G91`);
             gcode.push(`G1 Z5 F3000`);
             gcode.push(`G90`);
-            gcode.push(`${amsDrawingSlot}`);
-            gcode.push(`M400`);
+            gcode.push(...drawingToolChange);
+            gcode.push(flavor.wait);
         } else {
             // Park at bed center — safe regardless of origin position or bed size
             const parkX = originAtCenter ? 0 : bedWidth / 2;
@@ -1340,7 +4933,7 @@ function processImageCore() {
             gcode.push(`G1 Z10 F1000`);
             gcode.push(`G90`);
             gcode.push(`G0 X${parkX.toFixed(3)} Y${parkY.toFixed(3)} F6000 ; Park at bed center for filament change`);
-            gcode.push(`M600`);
+            gcode.push(flavor.pause);
         }
 
         drawingStartZ = zOffset + baseLayers * layerHeight;
@@ -1350,17 +4943,17 @@ function processImageCore() {
         );
         gcode.push(`G1 Z${drawingStartZ.toFixed(3)} F1000`);
         gcode.push(`G1 E0.5 F600`);
-        gcode.push(`G4 P200`);
+        gcode.push(flavor.dwell(200));
 
         prevX = startPoint.x;
         prevY = startPoint.y;
         gcode.push(`G92 E0`);
 
-        // Update innerRadius for clip function based on shape
-        innerRadius = innerMargin;
+        // Update innerRadius for clip function based on shape; the art also stays clear of the rim
+        innerRadius = addRim ? Math.max(innerMargin, rimWidth + 0.5) : innerMargin;
     } else {
         if (changeMode === "ams") {
-            gcode.push(`${amsDrawingSlot}`);
+            gcode.push(...drawingToolChange);
         }
         gcode.push(`G0 Z${safeZ.toFixed(3)} F3000`);
         gcode.push(`G0 X${startPoint.x.toFixed(3)} Y${startPoint.y.toFixed(3)} F6000`);
@@ -1404,12 +4997,20 @@ function processImageCore() {
         return dist;
     }
 
+    let baseClipGrid = null;
     function isInsideBaseClip(x, y) {
-        if (pathType === "spiral") {
+        if (baseOutlines) {
+            // Inside the outlines and at least the base margin plus walls away from every edge
+            if (!baseClipGrid) {
+                baseClipGrid = buildClearanceGrid(baseOutlines, Math.max(0.5, Math.sqrt((printWidth * printHeight) / 100000)));
+            }
+            return baseClipGrid.isClear(x, y, innerRadius);
+        }
+        if (baseShape === "circle") {
             // For circular base, use radius-based check
             return Math.hypot(x - centerX, y - centerY) <= baseRadius - innerRadius;
         }
-        if (pathType === "squareSpiral" || pathType === "hilbert") {
+        if (baseShape === "square") {
             // For square base, use square bounds check
             const ins = innerRadius;
             return (
@@ -1429,27 +5030,80 @@ function processImageCore() {
         );
     }
 
-    function doSmartMove(x, y, isConnect = false) {
-        if (addCircularBase && !isInsideBaseClip(x, y)) {
+    // Source brightness before any tone curve
+    function sampleBrightness(x, y) {
+        const u = (x - offsetX) / printWidth;
+        const v_yup = (y - offsetY) / printHeight;
+        const u_sample = mirrorimage ? 1.0 - u : u;
+        return 1 - getBrightnessAtUV(u_sample, v_yup, pixels, anaW, anaH, null, luminance);
+    }
+
+    function sampleDarkness(x, y) {
+        if (paintMaskValue(x, y) === PAINT_MASK.forceDark) return 1;
+        return 1 - widthCurve(sampleBrightness(x, y));
+    }
+
+    // Paint mask value under a bed position (the mask follows the image, mirroring included)
+    function paintMaskValue(x, y) {
+        if (!pixels) return PAINT_MASK.none;
+        const u = (x - offsetX) / printWidth;
+        const v_yup = (y - offsetY) / printHeight;
+        return samplePaintMask(mirrorimage ? 1.0 - u : u, v_yup);
+    }
+
+    function isMaskedOut(x, y) {
+        if (paintMaskValue(x, y) === PAINT_MASK.exclude) return true;
+        if (alphaThreshold === null) return false;
+        const u = (x - offsetX) / printWidth;
+        const v_yup = (y - offsetY) / printHeight;
+        return getAlphaAtUV(mirrorimage ? 1.0 - u : u, v_yup, pixels, anaW, anaH) < alphaThreshold;
+    }
+
+    // Text mode dithering: one cell per line spacing over the print area, built on first use
+    let ditherCells = null;
+    const ditherCellSize = Math.max(0.2, spacing);
+    const ditherCols = Math.max(1, Math.ceil(printWidth / ditherCellSize));
+    const ditherRows = Math.max(1, Math.ceil(printHeight / ditherCellSize));
+
+    function isDitheredDark(x, y, darkness) {
+        if (ditherMethod === "threshold") return darkness >= textThreshold;
+        if (!ditherCells) {
+            // The threshold slider shifts the tone so it still acts as a lighter/darker control
+            const bias = 0.5 - textThreshold;
+            const values = new Float32Array(ditherCols * ditherRows);
+            for (let j = 0; j < ditherRows; j++) {
+                for (let i = 0; i < ditherCols; i++) {
+                    const d = sampleDarkness(offsetX + (i + 0.5) * ditherCellSize, offsetY + (j + 0.5) * ditherCellSize);
+                    values[j * ditherCols + i] = Math.max(0, Math.min(1, d + bias));
+                }
+            }
+            ditherCells = ditherGrid(values, ditherCols, ditherRows, ditherMethod);
+        }
+        const i = Math.max(0, Math.min(ditherCols - 1, Math.floor((x - offsetX) / ditherCellSize)));
+        const j = Math.max(0, Math.min(ditherRows - 1, Math.floor((y - offsetY) / ditherCellSize)));
+        return ditherCells[j * ditherCols + i] === 1;
+    }
+
+    // stroke = { w, f } prints at a fixed width and feed, bypassing tone modulation
+    function doSmartMove(x, y, isConnect = false, stroke = null) {
+        if ((addCircularBase && !isInsideBaseClip(x, y)) || isMaskedOut(x, y)) {
             writeMove(x, y, 0, 0, true);
             return;
         }
 
-        let u = (x - offsetX) / printWidth;
-        let v_yup = (y - offsetY) / printHeight;
-
-        let u_sample = u;
-        let v_sample_yup = v_yup;
-
-        if (mirrorimage) {
-            u_sample = 1.0 - u;
+        if (stroke) {
+            writeMove(x, y, stroke.w, stroke.f, isConnect);
+            return;
         }
 
-        const darkness = getBrightnessAtUV(u_sample, v_sample_yup, pixels, anaW, anaH, gammaVal);
+        // Painted "force dark" zones print as if black; "alternate" zones use their own ranges
+        const maskValue = paintMaskValue(x, y);
+        const brightness = maskValue === PAINT_MASK.forceDark ? 0 : sampleBrightness(x, y);
+        const darkness = 1 - widthCurve(brightness);
 
         // Text mode: binary threshold — either full width or skip (no travel artifacts on white)
         if (textMode && !isConnect) {
-            if (darkness < textThreshold) {
+            if (!isDitheredDark(x, y, darkness)) {
                 // Light pixel: lift and travel, no extrusion
                 writeMove(x, y, 0, 0, true);
             } else {
@@ -1459,8 +5113,13 @@ function processImageCore() {
             return;
         }
 
-        const targetW = minW + darkness * (maxW - minW);
-        const targetF = maxSpeed - darkness * (maxSpeed - minSpeed);
+        const useAlt = maskValue === PAINT_MASK.altParams;
+        const zoneMinW = useAlt ? altMinW : minW;
+        const zoneMaxW = useAlt ? altMaxW : maxW;
+        const zoneMinSpeed = useAlt ? altMinSpeed : minSpeed;
+        const zoneMaxSpeed = useAlt ? altMaxSpeed : maxSpeed;
+        const targetW = zoneMinW + darkness * (zoneMaxW - zoneMinW);
+        const targetF = zoneMaxSpeed - (1 - speedCurve(brightness)) * (zoneMaxSpeed - zoneMinSpeed);
 
         if (isConnect || !useSquiggle || darkness < 0.1) {
             writeMove(x, y, targetW, targetF, isConnect);
@@ -1468,6 +5127,8 @@ function processImageCore() {
             const startX = prevX;
             const startY = prevY;
             const distTotal = Math.hypot(x - startX, y - startY);
+            // A zero-length move has no direction to squiggle across
+            if (distTotal < 1e-9) return;
             const numSegments = Math.max(2, Math.floor(distTotal / 0.1));
 
             const dx = (x - startX) / numSegments;
@@ -1497,8 +5158,380 @@ function processImageCore() {
         }
     }
 
+    // Subdivide a straight line from the current position so brightness is sampled along it
+    function doSmartLine(x, y, res = 0.5, stroke = null) {
+        const startX = prevX;
+        const startY = prevY;
+        const numSegs = Math.max(1, Math.ceil(Math.hypot(x - startX, y - startY) / res));
+        for (let k = 1; k <= numSegs; k++) {
+            const t = k / numSegs;
+            doSmartMove(startX + (x - startX) * t, startY + (y - startY) * t, false, stroke);
+        }
+    }
+
+    // Print raster lines (print-local coordinates); connections between lines are either
+    // printed (continuous path) or travel moves. `segmentCount(length)` replaces the default
+    // 0.5 mm subdivision of each line.
+    function emitRaster(lines, { printConnections = false, segmentCount = null } = {}) {
+        lines.forEach((line, i) => {
+            if (i > 0 && printConnections) {
+                doSmartLine(offsetX + line.x0, offsetY + line.y0);
+            } else if (Math.hypot(offsetX + line.x0 - prevX, offsetY + line.y0 - prevY) > 1e-9) {
+                doSmartMove(offsetX + line.x0, offsetY + line.y0, true);
+            }
+            if (!segmentCount) {
+                doSmartLine(offsetX + line.x1, offsetY + line.y1);
+                return;
+            }
+            const numSegs = segmentCount(Math.hypot(line.x1 - line.x0, line.y1 - line.y0));
+            for (let k = 1; k <= numSegs; k++) {
+                const t = k / numSegs;
+                doSmartMove(offsetX + (line.x0 + (line.x1 - line.x0) * t), offsetY + (line.y0 + (line.y1 - line.y0) * t));
+            }
+        });
+    }
+
+    // Darkness in print-local coordinates (0..printWidth, 0..printHeight), zero outside the base
+    // clip and the alpha mask
+    function localDarkness(lx, ly) {
+        const x = offsetX + lx;
+        const y = offsetY + ly;
+        if ((addCircularBase && !isInsideBaseClip(x, y)) || isMaskedOut(x, y)) return 0;
+        return sampleDarkness(x, y);
+    }
+
     // Generate path based on type
-    if (pathType === "hilbert") {
+    if (useSvgVectors) {
+        // SVG artwork: fills hatched and outlined, then strokes on top, mapped through the
+        // same pan/zoom and mirror as raster images
+        const { viewBox, shapes } = appState.svgArtwork;
+        const zoom = appState.imageZoom;
+        const toBed = (p) => {
+            const { u_print, v_print_ydown } = sourceToPrintUV((p.x - viewBox.x) / viewBox.width, (p.y - viewBox.y) / viewBox.height);
+            const u = mirrorimage ? 1 - u_print : u_print;
+            return { x: offsetX + u * printWidth, y: offsetY + (1 - v_print_ydown) * printHeight };
+        };
+        const mmPerUnit = Math.sqrt((printWidth / viewBox.width) * (printHeight / viewBox.height)) * zoom;
+        // Wider lines print slower, as darker tones do in the raster modes
+        const strokeFor = (widthMM) => {
+            const w = Math.max(minW, Math.min(maxW, widthMM));
+            return { w, f: maxSpeed - ((w - minW) / (maxW - minW)) * (maxSpeed - minSpeed) };
+        };
+        // Pen position in bed coordinates; zoomed or panned artwork can put it outside the print
+        // area, where nothing is written
+        let pen = { x: prevX, y: prevY };
+
+        // Straight line from the pen, clipped to the print area (Liang–Barsky). The head only
+        // travels to where the line enters the area, so no move leaves the print rectangle.
+        const vectorLine = (x, y, stroke) => {
+            const dx = x - pen.x;
+            const dy = y - pen.y;
+            let t0 = 0;
+            let t1 = 1;
+            const edges = [
+                [-dx, pen.x - offsetX],
+                [dx, offsetX + printWidth - pen.x],
+                [-dy, pen.y - offsetY],
+                [dy, offsetY + printHeight - pen.y]
+            ];
+            const visible = edges.every(([p, q]) => {
+                if (Math.abs(p) < 1e-12) return q >= -1e-6;
+                const t = q / p;
+                if (p < 0) t0 = Math.max(t0, t);
+                else t1 = Math.min(t1, t);
+                return t0 <= t1;
+            });
+            const start = pen;
+            pen = { x, y };
+            if (!visible) return;
+            const entryX = start.x + dx * t0;
+            const entryY = start.y + dy * t0;
+            if (Math.hypot(entryX - prevX, entryY - prevY) > 1e-6) writeMove(entryX, entryY, 0, 0, true);
+            const exitX = start.x + dx * t1;
+            const exitY = start.y + dy * t1;
+            const numSegs = Math.max(1, Math.ceil(Math.hypot(exitX - entryX, exitY - entryY) / 0.5));
+            for (let k = 1; k <= numSegs; k++) {
+                doSmartMove(entryX + ((exitX - entryX) * k) / numSegs, entryY + ((exitY - entryY) * k) / numSegs, false, stroke);
+            }
+        };
+        const vectorPolyline = (points, stroke) => {
+            pen = points[0];
+            for (let k = 1; k < points.length; k++) vectorLine(points[k].x, points[k].y, stroke);
+        };
+
+        const fillStroke = strokeFor(spacing);
+        for (const shape of shapes.filter((sh) => sh.fill)) {
+            const loops = shape.subpaths.map((sp) => sp.points.map(toBed));
+            const bounds = polygonBounds(loops.flat());
+            let row = 0;
+            for (let y = bounds.minY + spacing / 2; y < bounds.maxY; y += spacing, row++) {
+                // Scanlines above or below the print area have nothing to print
+                if (y < offsetY || y > offsetY + printHeight) continue;
+                // Scanline crossings with winding direction, for nonzero and even-odd fills
+                const crossings = [];
+                for (const loop of loops) {
+                    for (let k = 0; k < loop.length; k++) {
+                        const a = loop[k];
+                        const b = loop[(k + 1) % loop.length];
+                        if (a.y <= y === b.y <= y) continue;
+                        crossings.push({ x: a.x + ((y - a.y) / (b.y - a.y)) * (b.x - a.x), dir: b.y > a.y ? 1 : -1 });
+                    }
+                }
+                crossings.sort((c1, c2) => c1.x - c2.x);
+
+                const spans = [];
+                let winding = 0;
+                crossings.forEach((c) => {
+                    const wasInside = shape.fillRule === "evenodd" ? winding % 2 !== 0 : winding !== 0;
+                    winding += shape.fillRule === "evenodd" ? 1 : c.dir;
+                    const isInside = shape.fillRule === "evenodd" ? winding % 2 !== 0 : winding !== 0;
+                    if (!wasInside && isInside) spans.push([c.x, c.x]);
+                    if (wasInside && !isInside) spans[spans.length - 1][1] = c.x;
+                });
+                // Spans are cut to the print area; those entirely outside it are skipped
+                const visibleSpans = spans
+                    .map(([x0, x1]) => [Math.max(x0, offsetX), Math.min(x1, offsetX + printWidth)])
+                    .filter(([x0, x1]) => x0 < x1);
+                if (row % 2 === 1) visibleSpans.reverse();
+                for (const [x0, x1] of visibleSpans) {
+                    const [fromX, toX] = row % 2 === 0 ? [x0, x1] : [x1, x0];
+                    pen = { x: fromX, y };
+                    vectorLine(toX, y, fillStroke);
+                }
+            }
+            // Outline the fill so its edges stay crisp
+            for (const loop of loops) vectorPolyline([...loop, loop[0]], fillStroke);
+        }
+
+        // Strokes grouped by width so each group can be ordered for short travel
+        const strokeGroups = new Map();
+        for (const shape of shapes.filter((sh) => sh.strokeWidth > 0)) {
+            const stroke = strokeFor(shape.strokeWidth * mmPerUnit);
+            const key = stroke.w.toFixed(3);
+            if (!strokeGroups.has(key)) strokeGroups.set(key, { stroke, lines: [] });
+            for (const sp of shape.subpaths) {
+                const line = sp.points.map(toBed);
+                if (sp.closed) line.push(line[0]);
+                strokeGroups.get(key).lines.push(line);
+            }
+        }
+        for (const { stroke, lines } of strokeGroups.values()) {
+            for (const line of orderPolylines(lines, prevX, prevY)) vectorPolyline(line, stroke);
+        }
+    } else if (pathType === "tsp") {
+        // Darkness-weighted stipple points joined into one continuous TSP tour
+        const points = generateStipplePoints(stippleCount, printWidth, printHeight, localDarkness);
+        const tour = solveTspTour(points, printWidth, printHeight);
+
+        if (tour.length > 0) {
+            const first = points[tour[0]];
+            doSmartMove(offsetX + first.x, offsetY + first.y, true);
+            for (let i = 1; i < tour.length; i++) {
+                const p = points[tour[i]];
+                doSmartLine(offsetX + p.x, offsetY + p.y);
+            }
+        }
+    } else if (pathType === "flowField") {
+        // Streamlines following the image orientation, closer together where it is darker
+        const field = computeOrientationField(printWidth, printHeight, spacing / 2, localDarkness);
+        const alongGradient = flowDirection === "gradient";
+        const lines = traceStreamlines(printWidth, printHeight, {
+            minSeparation: spacing,
+            separationAt: (lx, ly) => spacing * (1 + (1 - localDarkness(lx, ly)) * (flowSparseFactor - 1)),
+            darknessAt: localDarkness,
+            directionAt: (lx, ly) => orientationAt(field, lx, ly, alongGradient)
+        });
+
+        for (const line of orderPolylines(lines)) {
+            doSmartMove(offsetX + line[0].x, offsetY + line[0].y, true);
+            for (let i = 1; i < line.length; i++) {
+                doSmartLine(offsetX + line[i].x, offsetY + line[i].y);
+            }
+        }
+    } else if (pathType === "edges") {
+        // Line art: edge pixels chained into polylines, simplified and printed at constant width
+        const cell = Math.max(0.2, Math.min(0.5, spacing / 2));
+        const cols = Math.max(3, Math.ceil(printWidth / cell));
+        const rows = Math.max(3, Math.ceil(printHeight / cell));
+        const values = new Float32Array(cols * rows);
+        for (let j = 0; j < rows; j++) {
+            for (let i = 0; i < cols; i++) {
+                values[j * cols + i] = localDarkness(Math.min(printWidth, (i + 0.5) * cell), Math.min(printHeight, (j + 0.5) * cell));
+            }
+        }
+
+        const mask = detectEdges(values, cols, rows, edgeMethod, edgeSensitivity);
+        const minLength = Math.max(1, 2 * spacing);
+        const lines = [];
+        for (const chain of traceEdgePolylines(mask, cols, rows)) {
+            const line = simplifyPolyline(chain, 0.75).map((p) => ({ x: (p.x + 0.5) * cell, y: (p.y + 0.5) * cell }));
+            let length = 0;
+            for (let k = 1; k < line.length; k++) length += Math.hypot(line[k].x - line[k - 1].x, line[k].y - line[k - 1].y);
+            // Skip specks that would print as blobs
+            if (length >= minLength) lines.push(line);
+        }
+
+        const stroke = { w: edgeLineWidth, f: minSpeed };
+        for (const line of orderPolylines(lines)) {
+            doSmartMove(offsetX + line[0].x, offsetY + line[0].y, true);
+            for (let i = 1; i < line.length; i++) {
+                doSmartLine(offsetX + line[i].x, offsetY + line[i].y, 0.5, stroke);
+            }
+        }
+    } else if (pathType === "isolines") {
+        // Brightness iso-contours at evenly spaced tone levels, printed as nested closed loops
+        const cell = Math.min(0.5, spacing / 2);
+        const cols = Math.ceil(printWidth / cell) + 3;
+        const rows = Math.ceil(printHeight / cell) + 3;
+        // One node of zero padding on every side, so every contour closes
+        const values = new Float32Array(cols * rows);
+        for (let j = 1; j < rows - 1; j++) {
+            for (let i = 1; i < cols - 1; i++) {
+                values[j * cols + i] = localDarkness(Math.min(printWidth, (i - 1) * cell), Math.min(printHeight, (j - 1) * cell));
+            }
+        }
+
+        const loops = [];
+        for (let k = 1; k <= isoLevels; k++) {
+            const level = k / (isoLevels + 1);
+            for (const contour of marchingSquares(values, cols, rows, level)) {
+                const clamped = contour.points.map((p) => ({
+                    x: offsetX + Math.max(0, Math.min(printWidth, (p.x - 1) * cell)),
+                    y: offsetY + Math.max(0, Math.min(printHeight, (p.y - 1) * cell))
+                }));
+                // Clamping collapses runs of padding vertices onto one edge point; drop the repeats
+                const loop = clamped.filter((p, i) => {
+                    const q = clamped[(i + clamped.length - 1) % clamped.length];
+                    return Math.abs(p.x - q.x) > 1e-9 || Math.abs(p.y - q.y) > 1e-9;
+                });
+                // Skip specks that would print as blobs
+                if (loop.length > 2 && Math.abs(polygonArea(loop)) > spacing * spacing) loops.push(loop);
+            }
+        }
+
+        const depths = loopNestingDepths(loops);
+        const depthOrder = [...new Set(depths)].sort((a, b) => (isoOrder === "insideOut" ? b - a : a - b));
+
+        for (const depth of depthOrder) {
+            const remaining = loops.filter((loop, i) => depths[i] === depth);
+            while (remaining.length > 0) {
+                // Nearest loop, entered at its nearest vertex
+                let bestLoop = 0;
+                let bestVertex = 0;
+                let bestDist = Infinity;
+                remaining.forEach((loop, li) => {
+                    loop.forEach((p, vi) => {
+                        const d = Math.hypot(p.x - prevX, p.y - prevY);
+                        if (d < bestDist) {
+                            bestDist = d;
+                            bestLoop = li;
+                            bestVertex = vi;
+                        }
+                    });
+                });
+                const loop = remaining.splice(bestLoop, 1)[0];
+
+                doSmartMove(loop[bestVertex].x, loop[bestVertex].y, true);
+                for (let n = 1; n <= loop.length; n++) {
+                    const p = loop[(bestVertex + n) % loop.length];
+                    doSmartLine(p.x, p.y);
+                }
+            }
+        }
+    } else if (pathType === "gilbert") {
+        // Generalized Hilbert curve covering the full print rectangle, one cell per line spacing
+        const cols = Math.max(1, Math.round(printWidth / spacing));
+        const rows = Math.max(1, Math.round(printHeight / spacing));
+        const stepX = printWidth / cols;
+        const stepY = printHeight / rows;
+        const cells = gilbert2d(cols, rows);
+
+        doSmartMove(offsetX + (cells[0].x + 0.5) * stepX, offsetY + (cells[0].y + 0.5) * stepY, true);
+        for (let i = 1; i < cells.length; i++) {
+            doSmartLine(offsetX + (cells[i].x + 0.5) * stepX, offsetY + (cells[i].y + 0.5) * stepY);
+        }
+    } else if (pathType === "adaptiveHilbert") {
+        // Quadtree Hilbert curve: cells split down to the line spacing where the image is
+        // dark or busy, and stay coarse in light, flat regions
+        const maxDepth = Math.max(0, Math.floor(Math.log2(printDim / spacing)));
+        const detailThreshold = (1 - adaptiveDetail) * 0.5;
+
+        const shouldSubdivide = (minX, minY, size) => {
+            let sum = 0;
+            let sumSq = 0;
+            for (let j = 0; j < 3; j++) {
+                for (let i = 0; i < 3; i++) {
+                    const d = localDarkness(
+                        centerOffset.x - offsetX + minX + ((i + 0.5) / 3) * size,
+                        centerOffset.y - offsetY + minY + ((j + 0.5) / 3) * size
+                    );
+                    sum += d;
+                    sumSq += d * d;
+                }
+            }
+            const mean = sum / 9;
+            const std = Math.sqrt(Math.max(0, sumSq / 9 - mean * mean));
+            return size > spacing / Math.max(mean, 0.01) || std > detailThreshold;
+        };
+
+        const points = [];
+        adaptiveHilbert(printDim, maxDepth, shouldSubdivide, (x, y) => points.push({ x, y }));
+
+        doSmartMove(centerOffset.x + points[0].x, centerOffset.y + points[0].y, true);
+        for (let i = 1; i < points.length; i++) {
+            doSmartLine(centerOffset.x + points[i].x, centerOffset.y + points[i].y);
+        }
+    } else if (pathType === "wave") {
+        // Squiggle art: constant width and feed, tone carried only by the wave's amplitude
+        // and frequency along a spiral or serpentine raster
+        const stroke = { w: waveLineWidth, f: (minSpeed + maxSpeed) / 2 };
+        const maxAmp = Math.max(0.05, (spacing - waveLineWidth) / 2);
+        const stepLen = Math.min(0.25, 1 / (waveMaxFreq * 8));
+        let phase = 0;
+        let started = false;
+
+        // Advance along the carrier by one step from its previous point to (cx, cy)
+        const waveStep = (cx, cy, tx, ty) => {
+            const darkness = localDarkness(cx - offsetX, cy - offsetY);
+            phase += TWO_PI * waveMaxFreq * (0.25 + 0.75 * darkness) * stepLen;
+            const offset = Math.sin(phase) * maxAmp * darkness;
+            const x = cx - ty * offset;
+            const y = cy + tx * offset;
+            if (!started) {
+                doSmartMove(x, y, true);
+                started = true;
+            } else {
+                doSmartMove(x, y, false, stroke);
+            }
+        };
+
+        if (waveCarrier === "spiral") {
+            const maxRadius = addCircularBase && baseShape === "circle" ? baseRadius - innerRadius : printDim / 2;
+            let angle = 0;
+            let radius = 0;
+            let iterations = 0;
+            while (radius <= maxRadius && iterations < MAX_LOOP_ITERATIONS * 10) {
+                iterations++;
+                radius = (spacing / TWO_PI) * angle;
+                const tx = -Math.sin(angle);
+                const ty = Math.cos(angle);
+                waveStep(centerX + radius * Math.cos(angle), centerY + radius * Math.sin(angle), tx, ty);
+                angle += stepLen / Math.max(spacing, radius);
+            }
+        } else {
+            const lines = Math.floor(printHeight / spacing);
+            for (let i = 0; i < lines; i++) {
+                const y = offsetY + (i + 0.5) * spacing;
+                const dir = i % 2 === 0 ? 1 : -1;
+                const numSteps = Math.max(1, Math.ceil(printWidth / stepLen));
+                for (let k = 0; k <= numSteps; k++) {
+                    const t = k / numSteps;
+                    const x = dir > 0 ? offsetX + t * printWidth : offsetX + (1 - t) * printWidth;
+                    waveStep(x, y, dir, 0);
+                }
+            }
+        }
+    } else if (pathType === "hilbert") {
         const order = fractalOrder;
         const N = 1 << order;
         const totalPoints = N * N;
@@ -1556,61 +5589,33 @@ function processImageCore() {
     } else if (pathType === "diagonal") {
         // Continuous diagonal zigzag — no G0 travel between lines, reverses direction at each edge.
         // Much better for text: no retract blobs on white areas, smoother transitions.
-        const axisStep = spacing * Math.sqrt(2);
-        const maxSum = printWidth + printHeight;
-        const numDiagonals = Math.floor(maxSum / axisStep);
-        const segRes = 0.5; // mm per sub-segment
-
-        for (let i = 0; i <= numDiagonals; i++) {
-            const sum = i * axisStep;
-
-            // Compute the two endpoints of this diagonal on the rectangle boundary
-            let p1x = sum <= printHeight ? 0 : sum - printHeight;
-            let p1y = sum <= printHeight ? sum : printHeight;
-            let p2x = sum <= printWidth  ? sum : printWidth;
-            let p2y = sum <= printWidth  ? 0   : sum - printWidth;
-
-            // Clamp to rect
-            p1x = Math.max(0, Math.min(printWidth,  p1x));
-            p1y = Math.max(0, Math.min(printHeight, p1y));
-            p2x = Math.max(0, Math.min(printWidth,  p2x));
-            p2y = Math.max(0, Math.min(printHeight, p2y));
-
-            // Alternate direction each line
-            let startX, startY, endX, endY;
-            if (i % 2 === 0) {
-                startX = p1x; startY = p1y; endX = p2x; endY = p2y;
-            } else {
-                startX = p2x; startY = p2y; endX = p1x; endY = p1y;
-            }
-
-            const distLine = Math.hypot(endX - startX, endY - startY);
-            if (distLine < 0.01) continue;
-
-            // On the very first line, do a travel to start position
-            if (i === 0) {
-                doSmartMove(offsetX + startX, offsetY + startY, true);
-            }
-            // For subsequent lines: connect end of previous line to start of this line.
-            // This is a short diagonal step (~axisStep mm) — use doSmartMove so it also
-            // samples brightness (continuous path, no retract blobs).
-            else {
-                doSmartMove(offsetX + startX, offsetY + startY);
-            }
-
-            // Draw the diagonal line with sub-segments for brightness sampling
-            const numSegs = Math.max(2, Math.floor(distLine / segRes));
-            for (let k = 1; k <= numSegs; k++) {
-                const t = k / numSegs;
-                doSmartMove(offsetX + startX + (endX - startX) * t, offsetY + startY + (endY - startY) * t);
+        emitRaster(rasterLines(printWidth, printHeight, -45, spacing), { printConnections: true });
+    } else if (pathType === "raster") {
+        emitRaster(rasterLines(printWidth, printHeight, rasterAngle, spacing));
+    } else if (pathType === "crossHatch") {
+        // Engraving-style layering: pass k only prints where darkness exceeds its tone threshold
+        hatchAngles.forEach((angle, pass) => {
+            const threshold = (pass + 1) / (hatchAngles.length + 1);
+            for (const line of rasterLines(printWidth, printHeight, angle, spacing)) {
+                const numSegs = Math.max(1, Math.ceil(Math.hypot(line.x1 - line.x0, line.y1 - line.y0) / 0.5));
+                let printing = false;
+                for (let k = 0; k <= numSegs; k++) {
+                    const lx = line.x0 + ((line.x1 - line.x0) * k) / numSegs;
+                    const ly = line.y0 + ((line.y1 - line.y0) * k) / numSegs;
+                    const dark = localDarkness(lx, ly) > threshold;
+                    if (dark) {
+                        doSmartMove(offsetX + lx, offsetY + ly, !printing);
+                    }
+                    printing = dark;
+                }
             }
-        }
+        });
     } else if (pathType === "spiral") {
         let cx = offsetX + printWidth / 2;
         let cy = offsetY + printHeight / 2;
         let radius = 0.0;
         let angle = 0;
-        const maxRadius = addCircularBase ? baseRadius - innerRadius : printDim / 2;
+        const maxRadius = addCircularBase && baseShape === "circle" ? baseRadius - innerRadius : printDim / 2;
 
         let iterations = 0;
         while (radius < maxRadius && iterations < MAX_LOOP_ITERATIONS) {
@@ -1632,25 +5637,37 @@ function processImageCore() {
             console.warn("Spiral hit max iterations");
         }
     } else {
-        // Zigzag (default)
-        const lines = Math.floor(printHeight / spacing);
-
-        for (let i = 0; i < lines; i++) {
-            let y = i * spacing;
-            let even = i % 2 === 0;
-            let xStart = even ? 0 : printWidth;
-            let xEnd = even ? printWidth : 0;
-
-            if (i > 0) {
-                doSmartMove(offsetX + xStart, offsetY + y, true);
-            }
+        // Zigzag (default): floor(height / spacing) horizontal rows up from the bottom edge
+        emitRaster(rasterLines(printWidth, printHeight, 0, spacing, Math.floor(printHeight / spacing)), {
+            segmentCount: (length) => Math.max(2, Math.floor(length / 0.5))
+        });
+    }
 
-            const distLine = printWidth;
-            const numSegs = Math.max(2, Math.floor(distLine / 0.5));
-            for (let k = 1; k <= numSegs; k++) {
-                let t = k / numSegs;
-                let currX = xStart + (xEnd - xStart) * t;
-                doSmartMove(offsetX + currX, offsetY + y);
+    // Raised rim around the outer edge, in the drawing filament: printed last so the nozzle
+    // never has to cross it while drawing
+    if (addRim) {
+        const { lineWidth, wallSpacing } = baseSettings;
+        const rimWalls = Math.max(1, Math.round(rimWidth / wallSpacing));
+        const rimLoops = [];
+        baseOutlines
+            .filter((loop) => polygonArea(loop) > 0)
+            .forEach((loop) => {
+                for (let k = 0; k < rimWalls; k++) {
+                    const wall = offsetPolygon(loop, lineWidth / 2 + k * wallSpacing);
+                    if (wall.length >= 3) rimLoops.push(wall);
+                }
+            });
+        gcode.push(`; --- Raised Rim ---`);
+        for (let layer = 0; layer < rimLayers; layer++) {
+            const z = drawingStartZ + layer * layerHeight;
+            for (const wall of rimLoops) {
+                gcode.push(`G0 Z${(z + 0.5).toFixed(3)} F6000`);
+                writeMove(wall[0].x, wall[0].y, 0, 6000, true);
+                gcode.push(`G1 Z${z.toFixed(3)} F1000`);
+                for (let i = 1; i <= wall.length; i++) {
+                    const p = wall[i % wall.length];
+                    writeMove(p.x, p.y, lineWidth, baseSpeed);
+                }
             }
         }
     }
@@ -1659,11 +5676,45 @@ function processImageCore() {
     gcode.push(`; Total Extruded: E${totalE.toFixed(2)}`);
     gcode.push(`; --- End of Central G-Code Block ---`);
 
+    // Optional simplification and arc fitting of the finished path; the extrusion total is unchanged
+    if (getElement("mergeCollinear")?.checked) {
+        gcode = mergeCollinearMoves(
+            gcode,
+            safeParseFloat(getElement("mergeTolerance")?.value, 0.01, 0.001, 0.5),
+            safeParseFloat(getElement("mergeWidthTolerance")?.value, 2, 0, 50) / 100,
+            safeParseFloat(getElement("minSegmentLength")?.value, 0.05, 0, 2)
+        );
+    }
+    if (getElement("arcFitting")?.checked) {
+        gcode = fitArcs(gcode, safeParseFloat(getElement("arcTolerance")?.value, 0.02, 0.001, 0.5));
+    }
+
+    // Base mesh export: the outline loops the clip used, one base thickness tall, and the drawing
+    // on its own (header, drawing filament, artwork) to insert after the sliced base
+    const drawingGcode =
+        addCircularBase && exportBaseMesh
+            ? gcode
+                  .slice(0, 3)
+                  .concat(changeMode === "ams" ? drawingToolChange : [], gcode.slice(gcode.indexOf("; --- STARTING ARTWORK DRAWING ---")))
+            : null;
+
+    // Extrusion mode last: absolute E totals and firmware retraction apply to the final move list
+    gcode = applyExtrusionMode(gcode, extrusionMode);
+
     const artOnlyGcode = gcode.join("\n");
     const finalGcode = mergeWithTemplate(artOnlyGcode);
 
     appState.gcodeContent = finalGcode;
 
+    if (addCircularBase && exportBaseMesh) {
+        appState.baseMesh = { loops: baseOutlines, thickness: baseLayers * layerHeight };
+        appState.drawingGcodeContent = applyExtrusionMode(drawingGcode, extrusionMode).join("\n");
+        getElement("baseExportButtons")?.classList.remove("hidden");
+    } else {
+        appState.baseMesh = null;
+        appState.drawingGcodeContent = "";
+    }
+
     const outputArea = getElement("gcodeOutput");
     if (outputArea) {
         outputArea.value = finalGcode;
@@ -1862,17 +5913,20 @@ function parseGcodeToSegments(gcode) {
             continue;
         }
 
-        if (line.startsWith("M0") || line.startsWith("M600") || line.includes("Pause")) {
+        if (line.startsWith("M0") || PAUSE_COMMANDS.some((command) => line.startsWith(command)) || line.includes("Pause")) {
             inBase = false;
             continue;
         }
 
-        if (!(line.startsWith("G0") || line.startsWith("G1"))) continue;
+        const command = line.split(/\s+/)[0].toUpperCase();
+        if (!["G0", "G1", "G2", "G3"].includes(command)) continue;
 
         let parts = line.split(/\s+/);
         let nx = x,
             ny = y,
             nz = z;
+        let ci = 0,
+            cj = 0;
         let extrude = false;
         let foundCoord = false;
 
@@ -1895,12 +5949,40 @@ function parseGcodeToSegments(gcode) {
             } else if (code === "Z") {
                 nz = val;
                 foundCoord = true;
-            } else if (code === "E" && val > 0) extrude = true;
+            } else if (code === "I") ci = val;
+            else if (code === "J") cj = val;
+            else if (code === "E" && val > 0) extrude = true;
         }
 
         if (!foundCoord && !extrude) continue;
         if (Math.abs(nx - x) < 0.001 && Math.abs(ny - y) < 0.001 && Math.abs(nz - z) < 0.001) continue;
 
+        if (command === "G2" || command === "G3") {
+            // Arcs are drawn as short chords around the centre (start + I/J)
+            const acx = x + ci;
+            const acy = y + cj;
+            const radius = Math.hypot(ci, cj);
+            const a0 = Math.atan2(y - acy, x - acx);
+            let sweep = Math.atan2(ny - acy, nx - acx) - a0;
+            if (command === "G3" && sweep <= 0) sweep += TWO_PI;
+            if (command === "G2" && sweep >= 0) sweep -= TWO_PI;
+            const steps = Math.max(2, Math.ceil((Math.abs(sweep) * radius) / 0.5));
+            let px = x;
+            let py = y;
+            for (let k = 1; k <= steps; k++) {
+                const a = a0 + (sweep * k) / steps;
+                const qx = k === steps ? nx : acx + radius * Math.cos(a);
+                const qy = k === steps ? ny : acy + radius * Math.sin(a);
+                segments.push({ x1: px, y1: py, z1: z, x2: qx, y2: qy, z2: nz, extrude, isBase: inBase });
+                px = qx;
+                py = qy;
+            }
+            x = nx;
+            y = ny;
+            z = nz;
+            continue;
+        }
+
         segments.push({
             x1: x || 0,
             y1: y || 0,
@@ -1908,7 +5990,7 @@ function parseGcodeToSegments(gcode) {
             x2: nx || 0,
             y2: ny || 0,
             z2: nz || 0,
-            extrude: line.startsWith("G1") && extrude,
+            extrude: command === "G1" && extrude,
             isBase: inBase
         });
 
@@ -1981,8 +6063,224 @@ function update3DPreviewFromGcode(gcode) {
     appState.threeScene.add(appState.threeMesh);
 }
 
+// ==================== BASE MESH EXPORT ====================
+
+/**
+ * Triangle mesh of the base: outline loops (counter-clockwise outlines, clockwise holes)
+ * extruded from z = 0 to `thickness`, in bed coordinates. Caps are triangulated with
+ * Three.js, holes grouped under the outline that directly encloses them.
+ */
+function buildBaseMesh(loops, thickness) {
+    if (!window.THREE) throw new Error("The 3D library is not loaded, so the base mesh cannot be built");
+    const vertices = [];
+    const triangles = [];
+    const depths = loopNestingDepths(loops);
+
+    loops.forEach((outline, i) => {
+        if (depths[i] % 2 !== 0) return;
+        const holes = loops.filter(
+            (loop, k) => depths[k] === depths[i] + 1 && polygonContainsPoint(outline, loop[0].x, loop[0].y)
+        );
+        const contour = outline.map((p) => new THREE.Vector2(p.x, p.y));
+        const holePoints = holes.map((hole) => hole.map((p) => new THREE.Vector2(p.x, p.y)));
+        // triangulateShape reorders the arrays it is given in place; faces index into them afterwards
+        const faces = THREE.ShapeUtils.triangulateShape(contour, holePoints);
+        const ring = contour.concat(...holePoints);
+        const bottom = vertices.length;
+        ring.forEach((p) => vertices.push([p.x, p.y, 0]));
+        const top = vertices.length;
+        ring.forEach((p) => vertices.push([p.x, p.y, thickness]));
+        for (const [a, b, c] of faces) {
+            const ccw = (ring[b].x - ring[a].x) * (ring[c].y - ring[a].y) - (ring[b].y - ring[a].y) * (ring[c].x - ring[a].x) > 0;
+            const [p, q] = ccw ? [b, c] : [c, b];
+            triangles.push([top + a, top + p, top + q], [bottom + a, bottom + q, bottom + p]);
+        }
+
+        // Side walls on the cap vertices, so the mesh is closed: material lies left of every
+        // loop, so each edge's outward side is its right
+        let start = 0;
+        for (const loop of [contour, ...holePoints]) {
+            for (let k = 0; k < loop.length; k++) {
+                const a = start + k;
+                const b = start + ((k + 1) % loop.length);
+                triangles.push([bottom + a, bottom + b, top + b], [bottom + a, top + b, top + a]);
+            }
+            start += loop.length;
+        }
+    });
+    return { vertices, triangles };
+}
+
+/**
+ * Binary STL of a triangle mesh
+ */
+function meshToStl({ vertices, triangles }) {
+    const buffer = new ArrayBuffer(84 + triangles.length * 50);
+    const view = new DataView(buffer);
+    const header = "G-Code Art Generator base";
+    for (let i = 0; i < header.length; i++) view.setUint8(i, header.charCodeAt(i));
+    view.setUint32(80, triangles.length, true);
+    let offset = 84;
+    for (const [a, b, c] of triangles) {
+        const [p, q, r] = [vertices[a], vertices[b], vertices[c]];
+        const u = [q[0] - p[0], q[1] - p[1], q[2] - p[2]];
+        const v = [r[0] - p[0], r[1] - p[1], r[2] - p[2]];
+        const n = [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+        const len = Math.hypot(n[0], n[1], n[2]) || 1;
+        for (const value of [n[0] / len, n[1] / len, n[2] / len, ...p, ...q, ...r]) {
+            view.setFloat32(offset, value, true);
+            offset += 4;
+        }
+        offset += 2;
+    }
+    return buffer;
+}
+
+/**
+ * 3MF package (a zip of the model XML and its relationships) of a triangle mesh, in mm
+ */
+function meshTo3mf({ vertices, triangles }) {
+    const model = [
+        `<?xml version="1.0" encoding="UTF-8"?>`,
+        `<model unit="millimeter" xml:lang="en-US" xmlns="http://schemas.microsoft.com/3dmanufacturing/core/2015/02">`,
+        ` <resources>`,
+        `  <object id="1" name="Base" type="model">`,
+        `   <mesh>`,
+        `    <vertices>`,
+        ...vertices.map(([x, y, z]) => `     <vertex x="${x.toFixed(4)}" y="${y.toFixed(4)}" z="${z.toFixed(4)}" />`),
+        `    </vertices>`,
+        `    <triangles>`,
+        ...triangles.map(([a, b, c]) => `     <triangle v1="${a}" v2="${b}" v3="${c}" />`),
+        `    </triangles>`,
+        `   </mesh>`,
+        `  </object>`,
+        ` </resources>`,
+        ` <build>`,
+        `  <item objectid="1" />`,
+        ` </build>`,
+        `</model>`
+    ].join("\n");
+    const contentTypes = [
+        `<?xml version="1.0" encoding="UTF-8"?>`,
+        `<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`,
+        ` <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml" />`,
+        ` <Default Extension="model" ContentType="application/vnd.ms-package.3dmanufacturing-3dmodel+xml" />`,
+        `</Types>`
+    ].join("\n");
+    const rels = [
+        `<?xml version="1.0" encoding="UTF-8"?>`,
+        `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`,
+        ` <Relationship Target="/3D/3dmodel.model" Id="rel0" Type="http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel" />`,
+        `</Relationships>`
+    ].join("\n");
+    return zipStore([
+        { name: "[Content_Types].xml", text: contentTypes },
+        { name: "_rels/.rels", text: rels },
+        { name: "3D/3dmodel.model", text: model }
+    ]);
+}
+
+/**
+ * CRC-32 (IEEE) of a byte array, as used by zip
+ */
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc ^= bytes[i];
+        for (let k = 0; k < 8; k++) crc = crc & 1 ? (crc >>> 1) ^ 0xedb88320 : crc >>> 1;
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Uncompressed ("stored") zip archive of text files
+ */
+function zipStore(files) {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    const central = [];
+    let offset = 0;
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const data = encoder.encode(file.text);
+        const crc = crc32(data);
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        chunks.push(new Uint8Array(local.buffer), name, data);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true);
+        entry.setUint16(4, 20, true);
+        entry.setUint16(6, 20, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true);
+        central.push(new Uint8Array(entry.buffer), name);
+        offset += 30 + name.length + data.length;
+    }
+    const centralSize = central.reduce((sum, chunk) => sum + chunk.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = chunks.concat(central, [new Uint8Array(end.buffer)]);
+    const result = new Uint8Array(parts.reduce((sum, chunk) => sum + chunk.length, 0));
+    let position = 0;
+    for (const part of parts) {
+        result.set(part, position);
+        position += part.length;
+    }
+    return result;
+}
+
+/**
+ * Download the generated base as "stl" or "3mf"
+ */
+function downloadBaseMesh(format) {
+    if (!appState.baseMesh) {
+        showErrorMessage("Generate with “Export base as mesh” enabled first");
+        return;
+    }
+    try {
+        const mesh = buildBaseMesh(appState.baseMesh.loops, appState.baseMesh.thickness);
+        if (format === "3mf") {
+            downloadBlob(meshTo3mf(mesh), "art_base.3mf", "model/3mf");
+        } else {
+            downloadBlob(meshToStl(mesh), "art_base.stl", "model/stl");
+        }
+    } catch (error) {
+        console.error("Base export error:", error);
+        showErrorMessage(error.message);
+    }
+}
+
 // ==================== DOWNLOAD & MERGE ====================
 
+/**
+ * Save data as a file through a temporary link
+ */
+function downloadBlob(data, filename, type) {
+    const blob = new Blob([data], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
 function downloadGcode() {
     if (!appState.gcodeContent || appState.gcodeContent.length < 10) {
         showErrorMessage("Please generate G-code first");
@@ -1990,15 +6288,24 @@ function downloadGcode() {
     }
 
     try {
-        const blob = new Blob([appState.gcodeContent], { type: "text/plain" });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement("a");
-        a.href = url;
-        a.download = "art_gcode.gcode";
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        downloadBlob(appState.gcodeContent, "art_gcode.gcode", "text/plain");
+    } catch (error) {
+        console.error("Download error:", error);
+        showErrorMessage("Failed to download G-code");
+    }
+}
+
+/**
+ * Download the artwork without the base, for printing on top of a separately sliced base
+ */
+function downloadDrawingGcode() {
+    if (!appState.drawingGcodeContent) {
+        showErrorMessage("Generate with “Export base as mesh” enabled first");
+        return;
+    }
+
+    try {
+        downloadBlob(appState.drawingGcodeContent, "art_drawing_only.gcode", "text/plain");
     } catch (error) {
         console.error("Download error:", error);
         showErrorMessage("Failed to download G-code");
@@ -2043,7 +6350,7 @@ function mergeWithTemplate(artGcode) {
 
     let changeCommand = "";
     if (mode === "manual") {
-        changeCommand = "\n; --- MANUAL PAUSE ---\nM600\n";
+        changeCommand = `\n; --- MANUAL PAUSE ---\n${readFirmwareFlavor().pause}\n`;
     }
 
     let finalGcode = header + changeCommand + "\n; --- START ARTWORK ---\n" + artGcode + "\n; --- END ARTWORK ---\n";
@@ -2067,6 +6374,9 @@ document.addEventListener("DOMContentLoaded", () => {
     if (downloadBtn) {
         downloadBtn.addEventListener("click", downloadGcode);
     }
+    getElement("downloadBaseStl")?.addEventListener("click", () => downloadBaseMesh("stl"));
+    getElement("downloadBase3mf")?.addEventListener("click", () => downloadBaseMesh("3mf"));
+    getElement("downloadDrawingGcode")?.addEventListener("click", downloadDrawingGcode);
 
     // Slider value displays
     const hilbertOrder = getElement("hilbertOrder");
@@ -2077,11 +6387,189 @@ document.addEventListener("DOMContentLoaded", () => {
         });
     }
 
-    const gamma = getElement("gamma");
-    const gammaVal = getElement("gammaVal");
-    if (gamma && gammaVal) {
-        gamma.addEventListener("input", (e) => {
-            gammaVal.innerText = parseFloat(e.target.value).toFixed(1);
+    setupToneCurveEditor();
+
+    const adaptiveDetail = getElement("adaptiveDetail");
+    const adaptiveDetailVal = getElement("adaptiveDetailVal");
+    if (adaptiveDetail && adaptiveDetailVal) {
+        adaptiveDetail.addEventListener("input", (e) => {
+            adaptiveDetailVal.innerText = parseFloat(e.target.value).toFixed(2);
+        });
+    }
+
+    // Image adjustments: value readouts and live preview
+    const adjustmentSliders = { adjBrightness: 0, adjContrast: 0, adjBlur: 1, adjSharpen: 1 };
+    for (const [id, decimals] of Object.entries(adjustmentSliders)) {
+        const slider = getElement(id);
+        const readout = getElement(`${id}Val`);
+        if (slider && readout) {
+            slider.addEventListener("input", (e) => {
+                readout.innerText = parseFloat(e.target.value).toFixed(decimals);
+            });
+        }
+    }
+
+    const redrawAdjustedPreview = debounce(() => {
+        if (!appState.originalImage || !previewCanvas) return;
+        const { bedWidth, bedHeight, originAtCenter, printWidth, printHeight, offsetX, offsetY } = getPrintParams();
+        drawImageSlicePreview(bedWidth, bedHeight, originAtCenter, offsetX, offsetY, printWidth, printHeight);
+        drawToneCurveEditor();
+    }, 150);
+    const adjustmentIds = [
+        ...Object.keys(adjustmentSliders),
+        "adjLevelsBlack",
+        "adjLevelsWhite",
+        "adjEqualize",
+        "adjInvert",
+        "useAlphaMask",
+        "luminanceModel",
+        "lumaColor",
+        "lumaTolerance"
+    ];
+    for (const id of adjustmentIds) {
+        getElement(id)?.addEventListener("input", redrawAdjustedPreview);
+        getElement(id)?.addEventListener("change", redrawAdjustedPreview);
+    }
+
+    // Luminance model: colour options and picking the reference colour from the preview
+    const luminanceModel = getElement("luminanceModel");
+    const lumaColorOptions = getElement("lumaColorOptions");
+    if (luminanceModel && lumaColorOptions) {
+        luminanceModel.addEventListener("change", (e) => {
+            lumaColorOptions.style.display = e.target.value === "color" ? "block" : "none";
+        });
+    }
+    const lumaTolerance = getElement("lumaTolerance");
+    const lumaToleranceVal = getElement("lumaToleranceVal");
+    if (lumaTolerance && lumaToleranceVal) {
+        lumaTolerance.addEventListener("input", (e) => {
+            lumaToleranceVal.innerText = e.target.value;
+        });
+    }
+    getElement("pickLumaColor")?.addEventListener("click", () => {
+        if (!appState.originalImage || !previewCanvas) {
+            showErrorMessage("Load an image first");
+            return;
+        }
+        appState.pickingColor = true;
+        previewCanvas.style.cursor = "crosshair";
+    });
+
+    // Paint mask: brush options, readout and clearing
+    const paintMaskEnabled = getElement("paintMaskEnabled");
+    const paintMaskOptions = getElement("paintMaskOptions");
+    if (paintMaskEnabled && paintMaskOptions) {
+        paintMaskEnabled.addEventListener("change", (e) => {
+            paintMaskOptions.style.display = e.target.checked ? "block" : "none";
+            if (previewCanvas) previewCanvas.style.cursor = e.target.checked ? "crosshair" : "grab";
+        });
+    }
+    const paintMaskSize = getElement("paintMaskSize");
+    const paintMaskSizeVal = getElement("paintMaskSizeVal");
+    if (paintMaskSize && paintMaskSizeVal) {
+        paintMaskSize.addEventListener("input", (e) => {
+            paintMaskSizeVal.innerText = e.target.value;
+        });
+    }
+    getElement("clearPaintMask")?.addEventListener("click", () => {
+        appState.paintMask = null;
+        appState.paintMaskCanvas = null;
+        redrawAdjustedPreview();
+    });
+
+    // Placement: rotation, flips and letterbox fill live in appState so sampling stays DOM-free
+    const applyPlacement = () => {
+        appState.imageRotation = safeParseFloat(getElement("imageRotation")?.value, 0, -180, 180);
+        appState.imageFlipH = getElement("imageFlipH")?.checked ?? false;
+        appState.imageFlipV = getElement("imageFlipV")?.checked ?? false;
+        appState.imageFill = getElement("imageFill")?.value === "black" ? "black" : "white";
+
+        const imageRotationVal = getElement("imageRotationVal");
+        if (imageRotationVal) imageRotationVal.innerText = `${Math.round(appState.imageRotation)}°`;
+
+        if (!appState.originalImage || !previewCanvas) return;
+        const { bedWidth, bedHeight, originAtCenter, printWidth, printHeight, offsetX, offsetY } = getPrintParams();
+        drawImageSlicePreview(bedWidth, bedHeight, originAtCenter, offsetX, offsetY, printWidth, printHeight);
+    };
+    for (const id of ["imageRotation", "imageFlipH", "imageFlipV", "imageFill", "mirrorimage"]) {
+        getElement(id)?.addEventListener("input", applyPlacement);
+        getElement(id)?.addEventListener("change", applyPlacement);
+    }
+    getElement("resetPlacement")?.addEventListener("click", () => {
+        const imageRotation = getElement("imageRotation");
+        if (imageRotation) imageRotation.value = "0";
+        ["imageFlipH", "imageFlipV"].forEach((id) => {
+            const el = getElement(id);
+            if (el) el.checked = false;
+        });
+        appState.imageZoom = 1.0;
+        appState.imageOffsetX = 0.0;
+        appState.imageOffsetY = 0.0;
+        applyPlacement();
+    });
+
+    // Base shape: per-shape options and the SVG outline loader
+    const baseShape = getElement("baseShape");
+    if (baseShape) {
+        const shapeOptions = {
+            roundedRect: "baseCornerRadiusOptions",
+            star: "baseStarOptions",
+            svg: "baseSvgOptions",
+            silhouette: "baseSilhouetteOptions"
+        };
+        baseShape.addEventListener("change", (e) => {
+            for (const [shape, id] of Object.entries(shapeOptions)) {
+                const options = getElement(id);
+                if (options) options.style.display = e.target.value === shape ? "block" : "none";
+            }
+        });
+    }
+    getElement("baseSvgInput")?.addEventListener("change", (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            const baseSvgInfo = getElement("baseSvgInfo");
+            try {
+                appState.baseOutlineSvg = parseSvgBaseOutline(event.target.result);
+                if (baseSvgInfo) baseSvgInfo.innerText = `${file.name}: ${appState.baseOutlineSvg.length} points`;
+            } catch (error) {
+                appState.baseOutlineSvg = null;
+                if (baseSvgInfo) baseSvgInfo.innerText = "No outline loaded";
+                showErrorMessage(`Could not read the base outline: ${error.message}`);
+            }
+        };
+        reader.onerror = () => showErrorMessage("Error reading the SVG file");
+        reader.readAsText(file);
+    });
+
+    getElement("resetImageAdjustments")?.addEventListener("click", () => {
+        const defaults = {
+            adjBrightness: IMAGE_ADJUSTMENT_DEFAULTS.brightness,
+            adjContrast: IMAGE_ADJUSTMENT_DEFAULTS.contrast,
+            adjLevelsBlack: IMAGE_ADJUSTMENT_DEFAULTS.levelsBlack,
+            adjLevelsWhite: IMAGE_ADJUSTMENT_DEFAULTS.levelsWhite,
+            adjBlur: IMAGE_ADJUSTMENT_DEFAULTS.blur,
+            adjSharpen: IMAGE_ADJUSTMENT_DEFAULTS.sharpen
+        };
+        for (const [id, value] of Object.entries(defaults)) {
+            const el = getElement(id);
+            if (!el) continue;
+            el.value = value;
+            el.dispatchEvent(new Event("input"));
+        }
+        for (const id of ["adjEqualize", "adjInvert"]) {
+            const el = getElement(id);
+            if (el) el.checked = false;
+        }
+        redrawAdjustedPreview();
+    });
+
+    const edgeSensitivity = getElement("edgeSensitivity");
+    const edgeSensitivityVal = getElement("edgeSensitivityVal");
+    if (edgeSensitivity && edgeSensitivityVal) {
+        edgeSensitivity.addEventListener("input", (e) => {
+            edgeSensitivityVal.innerText = parseFloat(e.target.value).toFixed(2);
         });
     }
 